@@ -5,11 +5,18 @@
 
 console.log('Background script loaded and running');
 
+// Step formatting shared with the popup
+importScripts('report-helpers.js');
+
 // Storage key for master steps array
 const STORAGE_KEY = 'bc_steps_master';
 const MAX_STORAGE_SIZE = 50 * 1024 * 1024; // 50MB limit
 const MAX_STEPS = 1000; // Maximum number of steps to prevent memory issues
 
+// Storage key and budget for session replay events
+const REPLAY_KEY = 'bc_replay';
+const MAX_REPLAY_SIZE = 5 * 1024 * 1024; // 5MB, oldest page snapshots are dropped first
+
 /**
  * Get stored steps from chrome.storage.local with size validation
  */
@@ -150,11 +157,24 @@ async function compressScreenshot(dataURL, quality = 0.7) {
   }
 }
 
+// Steps arrive from every frame of the tab; serialise writes so concurrent
+// frames don't overwrite each other's steps
+let stepWriteQueue = Promise.resolve();
+
+/**
+ * Add a new step (queued behind any write in progress)
+ */
+function addStep(newStep) {
+  const write = stepWriteQueue.then(() => insertStep(newStep));
+  stepWriteQueue = write.catch(() => {});
+  return write;
+}
+
 /**
- * Add a new step with improved deduplication and memory management
+ * Insert a step with improved deduplication and memory management
  * STORAGE BEHAVIOR: More accurate deduplication to prevent false positives
  */
-async function addStep(newStep) {
+async function insertStep(newStep) {
   const steps = await getStoredSteps();
   
   // Check memory limits before adding
@@ -175,7 +195,8 @@ async function addStep(newStep) {
   
   // Improved deduplication: only filter truly identical rapid-fire duplicates
   const now = newStep.time;
-  const isDuplicate = steps.some(step => {
+  // Every network step is its own request, even parallel identical ones
+  const isDuplicate = newStep.meta?.action !== 'network' && steps.some(step => {
     const timeDiff = Math.abs(step.time - now);
     
     // Only filter exact duplicates within 100ms (reduced from 200ms)
@@ -209,7 +230,10 @@ async function addStep(newStep) {
   });
   
   if (!isDuplicate) {
-    steps.push(newStep);
+    // Frames report independently, so keep the merged session ordered by time
+    let index = steps.length;
+    while (index > 0 && steps[index - 1].time > newStep.time) index--;
+    steps.splice(index, 0, newStep);
     console.log(`Step ${steps.length} added:`, newStep.meta?.action, newStep.selector);
     
     // Keep only last 1000 steps to prevent storage bloat
@@ -223,12 +247,53 @@ async function addStep(newStep) {
   return await storeSteps(steps);
 }
 
+/**
+ * Attach (or remove, when annotatedDataURL is null) the annotated copy of a screenshot
+ * and its shape list to the gallery record captured at that timestamp, so they survive
+ * step trimming and clearing and can be edited again. Screenshot steps with the same
+ * timestamp get the copy too, for reports built from steps. Queued like addStep.
+ */
+async function saveScreenshotAnnotation(timestamp, annotatedDataURL, annotations) {
+  const compressedDataURL = annotatedDataURL ? await compressScreenshot(annotatedDataURL, 0.8) : null;
+  const applyAnnotation = record => {
+    if (compressedDataURL) {
+      record.annotatedDataURL = compressedDataURL;
+      record.annotations = annotations || [];
+    } else {
+      delete record.annotatedDataURL;
+      delete record.annotations;
+    }
+  };
+  
+  const write = stepWriteQueue.then(async () => {
+    const result = await chrome.storage.local.get(['screenshots']);
+    const screenshots = result.screenshots || [];
+    const screenshot = screenshots.find(item => item.timestamp === timestamp);
+    if (!screenshot) {
+      return { ok: false, error: 'The screenshot is no longer in the gallery' };
+    }
+    applyAnnotation(screenshot);
+    await chrome.storage.local.set({ screenshots });
+    
+    const steps = await getStoredSteps();
+    const matches = steps.filter(step => step.type === 'screenshot' && step.timestamp === timestamp);
+    if (matches.length) {
+      matches.forEach(applyAnnotation);
+      const stored = await storeSteps(steps);
+      if (!stored.ok) return stored;
+    }
+    return { ok: true, updated: matches.length, annotatedDataURL: compressedDataURL };
+  });
+  stepWriteQueue = write.catch(() => {});
+  return write;
+}
+
 /**
  * Clear all stored steps
  */
 async function clearSteps() {
   try {
-    await chrome.storage.local.remove([STORAGE_KEY]);
+    await chrome.storage.local.remove([STORAGE_KEY, REPLAY_KEY]);
     return { ok: true };
   } catch (error) {
     console.error('Failed to clear steps:', error);
@@ -236,6 +301,47 @@ async function clearSteps() {
   }
 }
 
+// Serialise replay writes so concurrent batches don't overwrite each other
+let replayWriteQueue = Promise.resolve();
+
+/**
+ * Append replay events from a content script, keeping the log under MAX_REPLAY_SIZE.
+ * Each page load starts with a snapshot; whole snapshot segments are dropped from the front.
+ */
+function storeReplayEvents(sessionId, events) {
+  replayWriteQueue = replayWriteQueue.then(async () => {
+    const result = await chrome.storage.local.get([REPLAY_KEY]);
+    let replay = result[REPLAY_KEY];
+    if (!replay || replay.sessionId !== sessionId) {
+      replay = { sessionId: sessionId, events: [], size: 0, truncated: false };
+    }
+    
+    replay.events.push(...events);
+    replay.size += JSON.stringify(events).length;
+    
+    while (replay.size > MAX_REPLAY_SIZE) {
+      const nextSnapshot = replay.events.findIndex((event, index) => index > 0 && event.type === 'snapshot');
+      if (nextSnapshot === -1) {
+        // A single page is over budget - keep its snapshot and stop growing
+        replay.events.splice(Math.max(1, replay.events.length - events.length));
+        replay.size = JSON.stringify(replay.events).length;
+        replay.truncated = true;
+        break;
+      }
+      replay.size -= JSON.stringify(replay.events.slice(0, nextSnapshot)).length;
+      replay.events = replay.events.slice(nextSnapshot);
+      replay.truncated = true;
+    }
+    
+    await chrome.storage.local.set({ [REPLAY_KEY]: replay });
+    return { ok: true, events: replay.events.length };
+  }).catch(error => {
+    console.error('Failed to store replay events:', error);
+    return { ok: false, error: error.message };
+  });
+  return replayWriteQueue;
+}
+
 /**
  * Crop screenshot to selected area using OffscreenCanvas (Service Worker compatible)
  */
@@ -380,6 +486,9 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         case 'store-step':
         case 'add-step':
           if (message.step) {
+            if (message.step.meta?.frame && sender.frameId) {
+              message.step.meta.frame.frameId = sender.frameId;
+            }
             const result = await addStep(message.step);
             sendResponse(result);
           } else {
@@ -387,11 +496,51 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           }
           break;
           
+        case 'deliver-frame-path':
+          // Only the extension can address a frame by id, so pages can't forge frame paths
+          if (sender.tab && Number.isInteger(message.frameId) && Array.isArray(message.path)) {
+            try {
+              await chrome.tabs.sendMessage(sender.tab.id, {
+                cmd: 'set-frame-path',
+                path: message.path.map(String)
+              }, { frameId: message.frameId });
+              sendResponse({ ok: true });
+            } catch (error) {
+              // The frame navigated away or its content script isn't running yet
+              sendResponse({ ok: false, error: error.message });
+            }
+          } else {
+            sendResponse({ ok: false, error: 'Invalid frame path message' });
+          }
+          break;
+          
         case 'get-steps':
           const steps = await getStoredSteps();
           sendResponse({ ok: true, steps });
           break;
           
+        case 'save-screenshot-annotation':
+          try {
+            sendResponse(await saveScreenshotAnnotation(message.timestamp, message.annotatedDataURL, message.annotations));
+          } catch (error) {
+            console.error('Failed to save screenshot annotation:', error);
+            sendResponse({ ok: false, error: error.message });
+          }
+          break;
+          
+        case 'store-replay-events':
+          if (Array.isArray(message.events) && message.events.length) {
+            sendResponse(await storeReplayEvents(message.sessionId, message.events));
+          } else {
+            sendResponse({ ok: false, error: 'No replay events provided' });
+          }
+          break;
+          
+        case 'get-replay':
+          const replayData = await chrome.storage.local.get([REPLAY_KEY]);
+          sendResponse({ ok: true, replay: replayData[REPLAY_KEY] || null });
+          break;
+          
         case 'clear-steps':
         case 'clear-all':
           const clearResult = await clearSteps();
@@ -405,6 +554,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
               'bc_session_screenshots',
               'bc_temp_data',
               'bc_last_tab_id',
+              'bc_recording_tab_id',
               'screenshots'
             ]);
             console.log('Comprehensive cleanup completed in background script');
@@ -545,6 +695,24 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           sendResponse({ ok: true, state });
           break;
           
+        case 'get-frame-recording-state':
+          // Subframes only record when they belong to the tab being recorded
+          try {
+            const frameState = await chrome.storage.local.get(['isRecording', 'sessionId', 'startTime', 'bc_recording_tab_id']);
+            const inRecordedTab = !!sender.tab && sender.tab.id === frameState.bc_recording_tab_id;
+            sendResponse({
+              ok: true,
+              state: {
+                isRecording: inRecordedTab && frameState.isRecording === true,
+                sessionId: inRecordedTab ? frameState.sessionId || null : null,
+                startTime: inRecordedTab ? frameState.startTime || null : null
+              }
+            });
+          } catch (error) {
+            sendResponse({ ok: false, error: error.message });
+          }
+          break;
+          
         case 'test-message':
           console.log('Test message received successfully');
           sendResponse({ success: true, message: 'Background script is working' });
@@ -602,6 +770,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
               // Store the screenshot step
               await addStep(screenshotStep);
               console.log('Screenshot step stored successfully');
+              requestStorageSnapshot(activeTab.id);
               
               sendResponse({ success: true, screenshot: screenshotStep });
             } else {
@@ -666,6 +835,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             // Store the screenshot step
             await addStep(screenshotStep);
             console.log('Custom screenshot step stored successfully');
+            requestStorageSnapshot(activeTab.id);
             
             sendResponse({ success: true, screenshot: screenshotStep });
           } catch (error) {
@@ -685,6 +855,10 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             sessionId: persistentState.sessionId,
             startTime: persistentState.startTime
           });
+          // Top frames report from their own tab; the popup names the tab it started
+          if (persistentState.isRecording && (sender.tab || message.tabId)) {
+            await chrome.storage.local.set({ bc_recording_tab_id: sender.tab ? sender.tab.id : message.tabId });
+          }
           
           console.log('Recording state updated:', persistentState);
           sendResponse({ ok: true });
@@ -792,7 +966,7 @@ async function saveScreenshotAsFile(screenshot, index) {
     // Save as file using chrome.downloads API directly with data URL
     return new Promise((resolve, reject) => {
       chrome.downloads.download({
-        url: screenshot.dataURL,
+        url: getScreenshotImage(screenshot),
         filename: `bug-report-assets/${filename}`,
         saveAs: false // Don't show save dialog
       }, (downloadId) => {
@@ -817,7 +991,8 @@ async function saveScreenshotAsFile(screenshot, index) {
 async function generateMarkdownReportWithAssets(steps) {
   // Filter out console and performance events
   const uiSteps = steps.filter(step => 
-    step.type !== 'console' && step.type !== 'performance'
+    step.type !== 'console' && step.type !== 'performance' &&
+    step.type !== 'storage'
   );
   
   if (uiSteps.length === 0) {
@@ -895,14 +1070,42 @@ async function generateMarkdownReportWithAssets(steps) {
     let stepDescription = '';
     switch (action) {
       case 'click':
-        stepDescription = `User clicked on ${target}.`;
+      case 'dblclick':
+      case 'contextmenu':
+        stepDescription = `User ${describeClickGesture(action, step.meta?.modifiers)} on ${target}.`;
         break;
       case 'input':
-        stepDescription = `User entered "${step.meta?.value || step.text || ''}" in ${target}.`;
+        stepDescription = step.meta?.contentChange
+          ? `User edited ${target} (${step.meta.contentChange.beforeLength} → ${step.meta.contentChange.afterLength} characters): "${step.meta.contentChange.preview}".`
+          : `User entered "${step.meta?.value || step.text || ''}" in ${target}.`;
         break;
       case 'select':
         stepDescription = `User selected "${step.meta?.value || step.text || ''}" from ${target}.`;
         break;
+      case 'validation-failed':
+        stepDescription = `Form validation failed:`;
+        (step.meta?.fields || []).forEach(field => {
+          stepDescription += `\n   - **${field.name}**: ${field.validationMessage || 'invalid'} (${field.constraint})`;
+        });
+        break;
+      case 'dialog':
+        stepDescription = `Browser ${step.meta?.details || 'dialog was shown'}.`;
+        break;
+      case 'copy':
+      case 'cut':
+      case 'paste':
+        const clipboardText = formatClipboardStep(step);
+        stepDescription = `User ${clipboardText.charAt(0).toLowerCase() + clipboardText.slice(1)}${step.meta?.value ? ` ("${step.meta.value}")` : ''}.`;
+        break;
+      case 'environment':
+        stepDescription = `${step.meta?.details || 'Browser environment changed'}.`;
+        break;
+      case 'drag':
+        stepDescription = `User dragged "${target}"${step.meta?.target?.name ? ` onto "${step.meta.target.name}"` : ''}${step.meta?.movement ? ` (moved ${step.meta.movement})` : ''}.`;
+        break;
+      case 'upload':
+        stepDescription = `User uploaded ${step.meta?.summary || 'a file'} to ${target}${step.meta?.source === 'drop' ? ' by drag and drop' : ''}.`;
+        break;
       case 'focus':
         stepDescription = `User focused on ${target}.`;
         break;
@@ -913,10 +1116,12 @@ async function generateMarkdownReportWithAssets(steps) {
         stepDescription = `User submitted the form.`;
         break;
       case 'navigation':
-        stepDescription = `User performed navigation on ${target}.`;
+        stepDescription = step.meta?.route
+          ? `User navigated from \`${step.meta.route.from}\` to \`${step.meta.route.to}\` (${step.meta.route.trigger}).`
+          : `User performed navigation on ${target}.`;
         break;
       case 'keypress':
-        stepDescription = `User pressed ${step.text || 'a key'}.`;
+        stepDescription = `User pressed ${step.text || 'a key'}${step.meta?.count > 1 ? ` ${step.meta.count} times` : ''}.`;
         break;
       case 'change':
         stepDescription = `User performed change on ${target}.`;
@@ -924,6 +1129,15 @@ async function generateMarkdownReportWithAssets(steps) {
       case 'toggle':
         stepDescription = `User toggled ${target}.`;
         break;
+      case 'network':
+        stepDescription = `${describeNetworkStep(step)}.`;
+        break;
+      case 'scroll':
+        stepDescription = `User scrolled ${step.meta?.direction || ''} ${step.meta?.distance ? `${step.meta.distance}px ` : ''}${step.meta?.container ? `in ${target}` : 'on the page'}.`.replace(/\s+/g, ' ');
+        break;
+      case 'hover':
+        stepDescription = `User hovered over ${target}${step.meta?.details ? ` (${step.meta.details.toLowerCase()})` : ''}.`;
+        break;
       case 'screenshot':
         stepDescription = `Screenshot captured: ${step.description || 'Manual screenshot'}.`;
         break;
@@ -931,6 +1145,15 @@ async function generateMarkdownReportWithAssets(steps) {
         stepDescription = `User performed ${action} on ${target}.`;
     }
     
+    if (step.meta?.frame) {
+      stepDescription = stepDescription.replace(/\.$/, ` ${describeFrame(step.meta.frame)}.`);
+    }
+    
+    // Submitted form data as a table under the step
+    if (action === 'submit' && step.meta?.fields?.length > 0) {
+      stepDescription += `\n\n${formatFormFieldsTable(step.meta.fields)}`;
+    }
+    
     markdown += `${stepDescription}\n`;
   });
   
@@ -944,6 +1167,35 @@ async function generateMarkdownReportWithAssets(steps) {
   markdown += `**Details:** See "Steps to Reproduce" section above for detailed actions\n\n`;
   markdown += `*[Please describe what actually happened and any error messages or unexpected behavior]*\n\n`;
   
+  // Web Vitals per page load / route
+  const performanceSummary = getWebVitalsSummary(steps);
+  if (performanceSummary.length > 0) {
+    markdown += `## ⚡ Performance Summary\n\n`;
+    performanceSummary.forEach(route => {
+      markdown += `**${route.navigationType === 'route-change' ? 'After route change to' : 'Page load of'} ${route.route}**\n\n`;
+      markdown += `| Metric | Value | Rating |\n|---|---|---|\n`;
+      route.metrics.forEach(metric => {
+        markdown += `| ${metric.name} | ${metric.display} | ${metric.label} |\n`;
+      });
+      markdown += `\n`;
+    });
+  }
+  
+  // Storage differences between snapshots
+  const storageChanges = getStorageChanges(steps, uiSteps);
+  if (storageChanges.snapshots > 1) {
+    markdown += `## 💾 Storage Changes\n\n`;
+    if (storageChanges.changes.length === 0) {
+      markdown += `No changes between the ${storageChanges.snapshots} storage snapshots.\n\n`;
+    } else {
+      markdown += `| Steps | Storage | Key | Change |\n|---|---|---|---|\n`;
+      storageChanges.changes.forEach(change => {
+        markdown += `| ${formatStepRange(change)} | ${change.area} | \`${change.key}\` | ${formatStorageChange(change).replace(/\|/g, '\\|')} |\n`;
+      });
+      markdown += `\n`;
+    }
+  }
+  
   // Environment metadata
   markdown += `## 🖥️ Environment\n\n`;
   markdown += `- **URL:** ${url}\n`;
@@ -954,6 +1206,60 @@ async function generateMarkdownReportWithAssets(steps) {
   return markdown;
 }
 
+/**
+ * Describe a captured fetch/XHR step for the markdown and RTF reports
+ */
+function describeNetworkStep(step) {
+  const request = step.meta?.request || {};
+  const response = step.meta?.response || {};
+  const url = request.url || step.text || 'unknown URL';
+  
+  if (step.meta?.error && !response.status) {
+    return `Request ${request.method || 'GET'} ${url} failed: ${step.meta.error}`;
+  }
+  return `Request ${request.method || 'GET'} ${url} returned ${response.status} (${step.meta?.duration}ms)`;
+}
+
+/**
+ * Markdown table of a submitted form's (already redacted) fields
+ */
+function formatFormFieldsTable(fields) {
+  const cell = text => String(text || '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  const rows = [
+    '| Field | Label | Type | Value |',
+    '|---|---|---|---|',
+    ...fields.map(field => `| ${cell(field.name)} | ${cell(field.label)} | ${cell(field.type)} | ${cell(field.value)} |`)
+  ];
+  return rows.join('\n') + '\n';
+}
+
+/**
+ * "between step 4 and step 9", counting from the start of recording
+ */
+function formatStepRange(change) {
+  const from = change.fromStep > 0 ? `step ${change.fromStep}` : 'recording start';
+  return `between ${from} and step ${change.toStep}`;
+}
+
+/**
+ * Describe a single storage key change, e.g. "changed: "a" → "b""
+ */
+function formatStorageChange(change) {
+  if (change.before === null) return `added: "${change.after}"`;
+  if (change.after === null) return `removed (was "${change.before}")`;
+  return `changed: "${change.before}" → "${change.after}"`;
+}
+
+/**
+ * Ask the tab's top frame for a storage snapshot to go with a new screenshot
+ */
+function requestStorageSnapshot(tabId) {
+  chrome.tabs.sendMessage(tabId, { cmd: 'capture-storage-snapshot', reason: 'screenshot' }, { frameId: 0 })
+    .catch(() => {
+      // No content script on this page
+    });
+}
+
 /**
  * Generate Word document report from steps with embedded images
  * Only includes UI interactions, excludes console and performance events
@@ -961,7 +1267,8 @@ async function generateMarkdownReportWithAssets(steps) {
 async function generateRTFReport(steps) {
   // Filter out console and performance events
   const uiSteps = steps.filter(step => 
-    step.type !== 'console' && step.type !== 'performance'
+    step.type !== 'console' && step.type !== 'performance' &&
+    step.type !== 'storage'
   );
   
   if (uiSteps.length === 0) {
@@ -1054,14 +1361,39 @@ Success Events: ${stats.success}\\par`;
     let stepDescription = '';
     switch (action) {
       case 'click':
-        stepDescription = `User clicked on ${target}.`;
+      case 'dblclick':
+      case 'contextmenu':
+        stepDescription = `User ${describeClickGesture(action, step.meta?.modifiers)} on ${target}.`;
         break;
       case 'input':
-        stepDescription = `User entered "${step.meta?.value || step.text || ''}" in ${target}.`;
+        stepDescription = step.meta?.contentChange
+          ? `User edited ${target} (${step.meta.contentChange.beforeLength} → ${step.meta.contentChange.afterLength} characters): "${step.meta.contentChange.preview}".`
+          : `User entered "${step.meta?.value || step.text || ''}" in ${target}.`;
         break;
       case 'select':
         stepDescription = `User selected "${step.meta?.value || step.text || ''}" from ${target}.`;
         break;
+      case 'validation-failed':
+        stepDescription = `Form validation failed: ${(step.meta?.fields || []).map(field => `${field.name} - ${field.validationMessage || 'invalid'} (${field.constraint})`).join('; ')}.`;
+        break;
+      case 'dialog':
+        stepDescription = `Browser ${step.meta?.details || 'dialog was shown'}.`;
+        break;
+      case 'copy':
+      case 'cut':
+      case 'paste':
+        const clipboardText = formatClipboardStep(step);
+        stepDescription = `User ${clipboardText.charAt(0).toLowerCase() + clipboardText.slice(1)}${step.meta?.value ? ` ("${step.meta.value}")` : ''}.`;
+        break;
+      case 'environment':
+        stepDescription = `${step.meta?.details || 'Browser environment changed'}.`;
+        break;
+      case 'drag':
+        stepDescription = `User dragged "${target}"${step.meta?.target?.name ? ` onto "${step.meta.target.name}"` : ''}${step.meta?.movement ? ` (moved ${step.meta.movement})` : ''}.`;
+        break;
+      case 'upload':
+        stepDescription = `User uploaded ${step.meta?.summary || 'a file'} to ${target}${step.meta?.source === 'drop' ? ' by drag and drop' : ''}.`;
+        break;
       case 'focus':
         stepDescription = `User focused on ${target}.`;
         break;
@@ -1072,10 +1404,12 @@ Success Events: ${stats.success}\\par`;
         stepDescription = `User submitted the form.`;
         break;
       case 'navigation':
-        stepDescription = `User performed navigation on ${target}.`;
+        stepDescription = step.meta?.route
+          ? `User navigated from ${step.meta.route.from} to ${step.meta.route.to} (${step.meta.route.trigger}).`
+          : `User performed navigation on ${target}.`;
         break;
       case 'keypress':
-        stepDescription = `User pressed ${step.text || 'a key'}.`;
+        stepDescription = `User pressed ${step.text || 'a key'}${step.meta?.count > 1 ? ` ${step.meta.count} times` : ''}.`;
         break;
       case 'change':
         stepDescription = `User performed change on ${target}.`;
@@ -1083,6 +1417,15 @@ Success Events: ${stats.success}\\par`;
       case 'toggle':
         stepDescription = `User toggled ${target}.`;
         break;
+      case 'network':
+        stepDescription = `${describeNetworkStep(step)}.`;
+        break;
+      case 'scroll':
+        stepDescription = `User scrolled ${step.meta?.direction || ''} ${step.meta?.distance ? `${step.meta.distance}px ` : ''}${step.meta?.container ? `in ${target}` : 'on the page'}.`.replace(/\s+/g, ' ');
+        break;
+      case 'hover':
+        stepDescription = `User hovered over ${target}${step.meta?.details ? ` (${step.meta.details.toLowerCase()})` : ''}.`;
+        break;
       case 'screenshot':
         // Skip screenshot steps in the reproduction steps since they're shown above
         return;
@@ -1090,6 +1433,10 @@ Success Events: ${stats.success}\\par`;
         stepDescription = `User performed ${action} on ${target}.`;
     }
     
+    if (step.meta?.frame) {
+      stepDescription = stepDescription.replace(/\.$/, ` ${describeFrame(step.meta.frame)}.`);
+    }
+    
     rtfContent += `${index + 1}. ${stepDescription}\\par
 \\par`;
   });
@@ -1247,7 +1594,7 @@ async function restoreRecordingStateWithRetry(tabId, maxRetries = 3) {
         try {
           await chrome.scripting.executeScript({
             target: { tabId: tabId },
-            files: ['content-script.js']
+            files: ['error-rules.js', 'report-helpers.js', 'content-script.js']
           });
           
           // Final attempt after injection
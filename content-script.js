@@ -20,10 +20,28 @@
     actualUrl: null // Store the actual tab URL
   };
   
-  // REDACTION RULES: More specific patterns to avoid over-redaction
-  const SENSITIVE_PATTERNS = /password|pwd|secret|token|key|ssn|creditcard|credit-card|cardnumber|card-number/i;
+  // REDACTION RULES: SENSITIVE_PATTERNS comes from report-helpers.js
   const MAX_INPUT_LENGTH = 100; // Increased from 80
-  
+  const MAX_BODY_LENGTH = 2000; // Captured network bodies are trimmed to this length
+
+  // Capture settings (edited in the popup, stored under bc_settings)
+  const SETTINGS_KEY = 'bc_settings';
+  const DEFAULT_SETTINGS = {
+    captureNetworkBodies: false,
+    recordReplay: false,
+    keyboardCapture: 'shortcuts', // 'none', 'shortcuts' or 'all' (all non-text keys)
+    hashNavigationOrigins: [] // Sites (origins) whose #hash changes count as navigation (hash routers)
+  };
+  window.bcState.settings = { ...DEFAULT_SETTINGS, ...(window.bcState.settings || {}) };
+
+  // UI error detection rules, per origin with '*' as the fallback (edited on the
+  // options page, stored under ERROR_RULES_KEY; defaults in error-rules.js)
+  let errorRules = resolveErrorRules(null);
+
+  // The script is injected into every frame (all_frames); only the top frame owns
+  // the indicator, popup messaging, navigation tracking and session replay
+  const IS_TOP_FRAME = window === window.top;
+
   /**
    * Get safe text from element with redaction
    */
@@ -56,23 +74,371 @@
   }
   
   /**
-   * Generate CSS selector for element
+   * Selector engine
+   * Candidates are tried in this order and kept only if they match exactly one element:
+   * test attributes, ARIA role + accessible name, stable id, text content, nth-of-type path.
+   */
+  const TEST_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-test', 'data-qa', 'data-cy'];
+  const MAX_ROLE_SCAN = 200; // Skip role/text uniqueness checks when many elements share the tag or role
+  
+  // Roles that take their accessible name from their content
+  const NAME_FROM_CONTENT_ROLES = ['button', 'link', 'heading', 'option', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'tab', 'treeitem', 'cell', 'gridcell', 'columnheader', 'rowheader', 'checkbox', 'radio', 'switch', 'tooltip'];
+  
+  function normalizeText(text, maxLength = 100) {
+    const normalized = (text || '').replace(/\s+/g, ' ').trim();
+    return normalized.length > maxLength ? normalized.slice(0, maxLength - 3) + '...' : normalized;
+  }
+  
+  function quoteSelectorValue(value) {
+    return '"' + String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+  }
+  
+  /**
+   * ARIA role of an element, explicit or implicit
+   */
+  function getElementRole(element) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) return '';
+    
+    const explicit = (element.getAttribute('role') || '').trim().split(/\s+/)[0];
+    if (explicit) return explicit.toLowerCase();
+    
+    const tag = element.tagName.toLowerCase();
+    const type = (element.getAttribute('type') || '').toLowerCase();
+    switch (tag) {
+      case 'a':
+      case 'area':
+        return element.hasAttribute('href') ? 'link' : '';
+      case 'button':
+        return 'button';
+      case 'input':
+        if (['button', 'submit', 'reset', 'image'].includes(type)) return 'button';
+        if (type === 'checkbox') return 'checkbox';
+        if (type === 'radio') return 'radio';
+        if (type === 'range') return 'slider';
+        if (type === 'number') return 'spinbutton';
+        if (type === 'search') return 'searchbox';
+        if (type === 'hidden' || type === 'file') return '';
+        return element.hasAttribute('list') ? 'combobox' : 'textbox';
+      case 'select':
+        return element.multiple || element.size > 1 ? 'listbox' : 'combobox';
+      case 'textarea':
+        return 'textbox';
+      case 'option':
+        return 'option';
+      case 'img':
+        return element.getAttribute('alt') === '' ? 'presentation' : 'img';
+      case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+        return 'heading';
+      case 'nav':
+        return 'navigation';
+      case 'main':
+        return 'main';
+      case 'form':
+        return 'form';
+      case 'dialog':
+        return 'dialog';
+      case 'ul':
+      case 'ol':
+        return 'list';
+      case 'li':
+        return 'listitem';
+      case 'table':
+        return 'table';
+      case 'tr':
+        return 'row';
+      case 'td':
+        return 'cell';
+      case 'th':
+        return 'columnheader';
+      case 'summary':
+        return 'button';
+      default:
+        return element.isContentEditable ? 'textbox' : '';
+    }
+  }
+  
+  /**
+   * Accessible name (simplified accname: labelledby, aria-label, labels, alt, title, content).
+   * fromTextContent reads content names from textContent, which unlike innerText doesn't force layout.
+   */
+  function getAccessibleName(element, fromTextContent = false) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) return '';
+    
+    const labelledBy = element.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const text = labelledBy.split(/\s+/)
+        .map(id => getSearchRoot(element).getElementById(id))
+        .filter(Boolean)
+        .map(label => label.textContent)
+        .join(' ');
+      if (normalizeText(text)) return normalizeText(text);
+    }
+    
+    const ariaLabel = element.getAttribute('aria-label');
+    if (ariaLabel && ariaLabel.trim()) return normalizeText(ariaLabel);
+    
+    const tag = element.tagName.toLowerCase();
+    if (['input', 'select', 'textarea', 'meter', 'progress', 'output'].includes(tag)) {
+      if (tag === 'input' && ['button', 'submit', 'reset'].includes(element.type)) {
+        return normalizeText(element.value || (element.type === 'submit' ? 'Submit' : element.type === 'reset' ? 'Reset' : ''));
+      }
+      if (tag === 'input' && element.type === 'image') {
+        return normalizeText(element.alt || element.title || '');
+      }
+      const labels = element.labels ? Array.from(element.labels) : [];
+      const labelText = labels.map(label => label.textContent).join(' ');
+      if (normalizeText(labelText)) return normalizeText(labelText);
+    }
+    
+    if (tag === 'img' || tag === 'area') {
+      const alt = element.getAttribute('alt');
+      if (alt && alt.trim()) return normalizeText(alt);
+    }
+    
+    if (getElementRole(element) === 'row') {
+      return getRowName(element, fromTextContent);
+    }
+    
+    if (NAME_FROM_CONTENT_ROLES.includes(getElementRole(element))) {
+      const content = normalizeText(fromTextContent ? element.textContent : element.innerText || element.textContent);
+      if (content) return content;
+      const img = element.querySelector('img[alt], svg[aria-label]');
+      if (img) return normalizeText(img.getAttribute('alt') || img.getAttribute('aria-label'));
+    }
+    
+    const title = element.getAttribute('title');
+    if (title && title.trim()) return normalizeText(title);
+    
+    const placeholder = element.getAttribute('placeholder');
+    return placeholder ? normalizeText(placeholder) : '';
+  }
+  
+  /**
+   * Rows are named by their row header, else their first cell, not their whole content
+   */
+  function getRowName(row, fromTextContent = false) {
+    const cells = Array.from(row.querySelectorAll('th, td, [role="rowheader"], [role="cell"], [role="gridcell"], [role="columnheader"]'))
+      .filter(cell => cell.closest('tr, [role="row"]') === row);
+    const header = cells.find(candidate =>
+      candidate.getAttribute('role') === 'rowheader' || (candidate.tagName === 'TH' && candidate.getAttribute('scope') === 'row'));
+    const cell = header || cells[0];
+    if (!cell) return '';
+    const text = fromTextContent ? cell.textContent : cell.innerText || cell.textContent;
+    return normalizeText(getSafeText(cell, normalizeText(text)), 100);
+  }
+  
+  // Controls whose name and role describe a click on any of their descendants
+  const NAMED_CONTROL_SELECTOR = 'button, a[href], input, select, textarea, summary, label, [role="button"], [role="link"], [role="checkbox"], [role="radio"], [role="switch"], [role="tab"], [role="menuitem"], [role="option"], [role="combobox"], [role="textbox"], [role="row"]';
+  
+  /**
+   * Role and accessible name of the control a step targeted, e.g. { role: 'button', name: 'Place order' }.
+   * Clicks on an icon or span inside a button are attributed to the button.
+   * Checkable controls also get checked: true/false from .checked or aria-checked.
+   */
+  function getAccessibleInfo(element) {
+    let control = element.closest(NAMED_CONTROL_SELECTOR) || element;
+    // A click on a <label> is a click on the field it labels
+    if (control.tagName === 'LABEL' && control.control) control = control.control;
+    
+    const role = getElementRole(control);
+    const name = getAccessibleName(control);
+    if (!role && !name) return null;
+    
+    const info = { role: role, name: name };
+    const ariaChecked = control.getAttribute('aria-checked');
+    if (control.tagName === 'INPUT' && ['checkbox', 'radio'].includes(control.type)) {
+      info.checked = control.checked;
+    } else if (ariaChecked === 'true' || ariaChecked === 'false') {
+      info.checked = ariaChecked === 'true';
+    }
+    return info;
+  }
+  
+  /**
+   * Ids that look generated by frameworks or contain hashes change between builds
+   */
+  function isStableId(id) {
+    return !!id &&
+      !/^\d/.test(id) &&
+      !/\d{4,}/.test(id) &&
+      !/[a-f0-9]{8,}/i.test(id) &&
+      !/^(ember|react-|radix-|headlessui-|mui-|:r|rc-|__)/i.test(id) &&
+      !id.includes(':');
+  }
+  
+  /**
+   * Document or shadow root the element lives in; selectors are resolved against it
+   */
+  function getSearchRoot(element) {
+    const root = element.getRootNode ? element.getRootNode() : document;
+    // nodeType checks instead of instanceof so elements of a parent frame work too
+    return root.nodeType === Node.DOCUMENT_NODE || root.nodeType === Node.DOCUMENT_FRAGMENT_NODE ? root : document;
+  }
+  
+  function isUniqueSelector(selector, element) {
+    try {
+      const matches = getSearchRoot(element).querySelectorAll(selector);
+      return matches.length === 1 && matches[0] === element;
+    } catch (e) {
+      return false;
+    }
+  }
+  
+  /**
+   * Unique CSS path built from the closest uniquely identifiable ancestor
+   */
+  function getNthOfTypePath(element) {
+    const path = [];
+    let current = element;
+    
+    while (current && current.nodeType === Node.ELEMENT_NODE) {
+      if (current !== element) {
+        const testAttr = TEST_ATTRIBUTES.find(attr => current.hasAttribute(attr));
+        if (testAttr) {
+          const anchor = `[${testAttr}=${quoteSelectorValue(current.getAttribute(testAttr))}]`;
+          if (isUniqueSelector(anchor, current)) {
+            path.unshift(anchor);
+            break;
+          }
+        }
+        if (isStableId(current.id) && isUniqueSelector('#' + CSS.escape(current.id), current)) {
+          path.unshift('#' + CSS.escape(current.id));
+          break;
+        }
+      }
+      
+      let part = current.tagName.toLowerCase();
+      const parent = current.parentElement;
+      if (parent) {
+        const sameType = Array.from(parent.children).filter(child => child.tagName === current.tagName);
+        if (sameType.length > 1) {
+          part += `:nth-of-type(${sameType.indexOf(current) + 1})`;
+        }
+      }
+      path.unshift(part);
+      current = parent;
+    }
+    
+    return path.join(' > ');
+  }
+  
+  /**
+   * Ranked, uniqueness-verified selector candidates for an element.
+   * Returns [{ strategy, selector }]; 'role' and 'text' selectors use the
+   * role=... / tag:has-text(...) notation understood by Playwright.
+   */
+  function getSelectorCandidates(element) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) return [];
+    
+    const candidates = [];
+    const add = (strategy, selector) => {
+      if (selector && !candidates.some(c => c.selector === selector)) {
+        candidates.push({ strategy, selector });
+      }
+    };
+    const tag = element.tagName.toLowerCase();
+    const root = getSearchRoot(element);
+    
+    // 1. Test attributes (first unique one wins)
+    for (const attr of TEST_ATTRIBUTES) {
+      const value = element.getAttribute(attr);
+      const selector = value ? `[${attr}=${quoteSelectorValue(value)}]` : '';
+      if (selector && isUniqueSelector(selector, element)) {
+        add('test-id', selector);
+        break;
+      }
+    }
+    
+    // Role names and text are page content: nothing from a redacted element goes into a selector
+    const isRedacted = getSafeText(element) === '[REDACTED]';
+    
+    // 2. ARIA role + accessible name. Uniqueness is checked on textContent names so the
+    // scan over same-tag elements doesn't force layout on every recorded step.
+    const role = getElementRole(element);
+    const name = isRedacted ? '' : getAccessibleName(element);
+    if (role && name && !['presentation', 'none', 'generic'].includes(role)) {
+      const scope = root.querySelectorAll(element.hasAttribute('role') ? `[role=${quoteSelectorValue(element.getAttribute('role'))}]` : tag);
+      if (scope.length <= MAX_ROLE_SCAN) {
+        const scanName = getAccessibleName(element, true);
+        const sameRoleAndName = Array.from(scope).filter(el => getElementRole(el) === role && getAccessibleName(el, true) === scanName);
+        if (sameRoleAndName.length === 1 && sameRoleAndName[0] === element) {
+          add('role', `role=${role}[name=${quoteSelectorValue(name)}]`);
+        }
+      }
+    }
+    
+    // 3. Stable id
+    if (isStableId(element.id)) {
+      const selector = '#' + CSS.escape(element.id);
+      if (isUniqueSelector(selector, element)) add('id', selector);
+    }
+    
+    // 4. Text content (textContent, so the uniqueness scan doesn't force layout)
+    const isFormField = ['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName);
+    const text = isRedacted || isFormField ? '' : normalizeText(getSafeText(element, element.textContent), 60);
+    if (text && text.length <= 50 && !text.endsWith('...')) {
+      const scope = root.querySelectorAll(tag);
+      if (scope.length <= MAX_ROLE_SCAN) {
+        const sameText = Array.from(scope).filter(el => el.textContent.includes(text) && normalizeText(el.textContent, 60) === text);
+        if (sameText.length === 1 && sameText[0] === element) {
+          add('text', `${tag}:has-text(${quoteSelectorValue(text)})`);
+        }
+      }
+    }
+    
+    // 5. nth-of-type path (always unique)
+    add('nth-of-type', getNthOfTypePath(element));
+    
+    // Inside a shadow tree every candidate is scoped by its host: "host >>> inner"
+    if (root.nodeType === Node.DOCUMENT_FRAGMENT_NODE && root.host) {
+      const hostSelector = getUniqueSelector(root.host);
+      candidates.forEach(candidate => {
+        candidate.selector = `${hostSelector} >>> ${candidate.selector}`;
+      });
+    }
+    
+    return candidates;
+  }
+  
+  /**
+   * Best plain CSS selector among candidates (test id, stable id, or nth-of-type path)
+   */
+  function pickCssSelector(candidates) {
+    const css = candidates.find(c => ['test-id', 'id', 'nth-of-type'].includes(c.strategy));
+    return css ? css.selector : '';
+  }
+  
+  /**
+   * Unique CSS selector for element (frame paths, shadow hosts)
+   */
+  function getUniqueSelector(element) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) return '';
+    return pickCssSelector(getSelectorCandidates(element));
+  }
+  
+  /**
+   * Generate CSS selector for element - the readable '#id' or 'tag.class > …'
+   * form used for step.selector; ranked candidates go in meta.selectors
    */
   function getCssSelector(element) {
     if (!element) return '';
     if (element.id) return '#' + element.id;
     
     const path = [];
-    while (element && element.nodeType === 1) {
-      let selector = element.tagName.toLowerCase();
-      if (element.className) {
-        const classes = element.className.split(' ').filter(c => c && !c.startsWith('bc-'));
+    let current = element;
+    while (current && current.nodeType === 1) {
+      let selector = current.tagName.toLowerCase();
+      if (typeof current.className === 'string' && current.className) {
+        const classes = current.className.split(' ').filter(c => c && !c.startsWith('bc-'));
         if (classes.length) selector += '.' + classes[0];
       }
       path.unshift(selector);
-      element = element.parentElement;
+      current = current.parentElement;
     }
-    return path.join(' > ');
+    
+    const root = getSearchRoot(element);
+    const host = root.nodeType === Node.DOCUMENT_FRAGMENT_NODE ? root.host : null;
+    return host ? `${getCssSelector(host)} >>> ${path.join(' > ')}` : path.join(' > ');
   }
 
   /**
@@ -101,12 +467,29 @@
   
   /**
    * Record a step and send to background
+   * With recordStep(stepObject, element) the element's ranked selectors are added
+   * to meta.selectors and the step's selector defaults to the readable CSS selector.
    */
   async function recordStep(typeOrStep, element, details = '') {
-    if (!window.bcState.recording) return;
+    const step = await buildStep(typeOrStep, element, details);
+    if (step) storeStep(step);
+  }
+  
+  /**
+   * The finished step recordStep would store (null when not recording), for callers
+   * that decide later whether to keep it
+   */
+  async function buildStep(typeOrStep, element, details = '') {
+    if (!window.bcState.recording) return null;
+    
+    // Compute selectors and the accessible name before the await so they describe the DOM at event time
+    const selectors = element && element.nodeType === Node.ELEMENT_NODE ? getSelectorCandidates(element) : null;
+    const cssSelector = selectors ? getCssSelector(element) : '';
+    const accessible = selectors ? getAccessibleInfo(element) : null;
     
     // Get the actual tab URL
     const actualUrl = await getActualTabUrl();
+    const framePath = IS_TOP_FRAME ? null : await getFramePath();
     
     let step;
     
@@ -118,6 +501,10 @@
         url: actualUrl,
         sessionId: window.bcState.sessionId
       };
+      if (selectors) {
+        step.selector = step.selector || cssSelector;
+        step.meta = { accessible: accessible, ...step.meta, selectors: selectors };
+      }
     } else {
       // If first parameter is a string (type), create step object
       step = {
@@ -125,18 +512,34 @@
         time: Date.now(),
         url: actualUrl,
         text: getSafeText(element, details),
-        selector: getCssSelector(element),
+        selector: cssSelector,
         sessionId: window.bcState.sessionId, // Add session ID for continuity
         meta: {
           action: typeOrStep,
           tagName: element?.tagName || '',
-          timestamp: Date.now() - window.bcState.startTime
+          timestamp: Date.now() - window.bcState.startTime,
+          selectors: selectors || [],
+          accessible: accessible
         }
       };
     }
     
-    // Store locally
-    window.bcState.steps.push(step);
+    if (framePath) {
+      step.meta = { ...step.meta, frame: { url: redactUrl(location.href), path: framePath } };
+    }
+    
+    return step;
+  }
+  
+  /**
+   * Store a finished step locally and send it to the background
+   */
+  function storeStep(step) {
+    // Store locally, in time order (held clicks are stored after later steps)
+    const steps = window.bcState.steps;
+    let index = steps.length;
+    while (index > 0 && steps[index - 1].time > step.time) index--;
+    steps.splice(index, 0, step);
     
     // Send to background script
     try {
@@ -173,6 +576,124 @@
     }, '*');
   }
   
+  /**
+   * Frame paths - steps recorded inside an iframe carry the frame URL and the
+   * selector of each ancestor iframe (outermost first). Parents may be cross-origin,
+   * so a child frame says hello over postMessage and the parent's content script
+   * works out the child's path. The path goes back through the background to the
+   * frame with that chrome.runtime.getFrameId, so the page itself can't forge one.
+   */
+  const FRAME_PATH_TIMEOUT_MS = 1000;
+  let framePath = IS_TOP_FRAME ? [] : null;
+  let framePathWaiters = [];
+  
+  function setFramePath(path) {
+    framePath = path;
+    framePathWaiters.forEach(resolve => resolve(path));
+    framePathWaiters = [];
+  }
+  
+  /**
+   * Path from same-origin frameElement links, used when no parent answers
+   */
+  function getAccessibleFramePath() {
+    const path = [];
+    try {
+      let current = window;
+      while (current !== current.top && current.frameElement) {
+        path.unshift(getUniqueSelector(current.frameElement));
+        current = current.parent;
+      }
+      if (current !== current.top) path.unshift('iframe');
+    } catch (e) {
+      // Cross-origin ancestor - keep what we have
+      path.unshift('iframe');
+    }
+    return path;
+  }
+  
+  function getFramePath() {
+    if (framePath) return Promise.resolve(framePath);
+    return new Promise(resolve => {
+      framePathWaiters.push(resolve);
+      setTimeout(() => {
+        if (!framePath) setFramePath(getAccessibleFramePath());
+      }, FRAME_PATH_TIMEOUT_MS);
+    });
+  }
+  
+  function findFrameElement(childWindow) {
+    const roots = [document, ...knownShadowRoots];
+    for (const root of roots) {
+      const frame = Array.from(root.querySelectorAll('iframe, frame')).find(f => f.contentWindow === childWindow);
+      if (frame) return frame;
+    }
+    return null;
+  }
+  
+  function sendFramePath(childWindow) {
+    const frame = findFrameElement(childWindow);
+    if (!frame || typeof chrome.runtime.getFrameId !== 'function') return;
+    
+    let frameId;
+    try {
+      frameId = chrome.runtime.getFrameId(frame);
+    } catch (e) {
+      return;
+    }
+    if (frameId < 0) return;
+    
+    const selector = getUniqueSelector(frame);
+    getFramePath().then(path => {
+      chrome.runtime.sendMessage({
+        cmd: 'deliver-frame-path',
+        frameId: frameId,
+        path: [...path, selector]
+      }).catch(err => console.warn('Bug Capturer: Failed to deliver frame path:', err));
+    });
+  }
+  
+  // A hello only triggers the lookup; anyone may send one, but the answer is computed here
+  window.addEventListener('message', function(e) {
+    if (e.data && e.source && e.data.__bugCapturerFrameHello) {
+      sendFramePath(e.source);
+    }
+  });
+  
+  /**
+   * Subframes have no indicator or popup connection; they follow the recording
+   * state the top frame persists, but only in the tab being recorded (the
+   * background compares it with the sender tab)
+   */
+  function applyFrameRecordingState(state) {
+    window.bcState.recording = state.isRecording === true;
+    if (state.sessionId) window.bcState.sessionId = state.sessionId;
+    if (state.startTime) window.bcState.startTime = state.startTime;
+    syncRecordingState();
+    
+    if (window.bcState.recording && !window.bcState.errorObserver && document.body) {
+      setupErrorDetection();
+    }
+  }
+  
+  function loadFrameRecordingState() {
+    chrome.runtime.sendMessage({ cmd: 'get-frame-recording-state' })
+      .then(response => {
+        if (response && response.ok) applyFrameRecordingState(response.state);
+      })
+      .catch(err => console.warn('Bug Capturer: Failed to load recording state in frame:', err));
+  }
+  
+  if (!IS_TOP_FRAME) {
+    window.parent.postMessage({ __bugCapturerFrameHello: true }, '*');
+    loadFrameRecordingState();
+    chrome.storage.onChanged.addListener(function(changes, areaName) {
+      if (areaName === 'local' && (changes.isRecording || changes.sessionId || changes.startTime || changes.bc_recording_tab_id)) {
+        loadFrameRecordingState();
+      }
+    });
+  }
+  
   /**
    * Event handlers for user interactions
    */
@@ -180,21 +701,211 @@
   // Track input timers for debouncing
   const inputTimers = new WeakMap();
   
+  /**
+   * Real event target, looking inside open shadow roots (e.target is retargeted to the host)
+   */
+  function getEventTarget(e) {
+    const path = typeof e.composedPath === 'function' ? e.composedPath() : [];
+    const target = path.length ? path[0] : e.target;
+    if (target && target.nodeType === Node.TEXT_NODE) return target.parentElement;
+    return target && target.nodeType === Node.ELEMENT_NODE ? target : e.target;
+  }
+  
+  function isIgnoredTarget(target) {
+    return !target || !target.closest || !!target.closest('[data-bc-ignore]');
+  }
+  
   // Click handler
   document.addEventListener('click', function(e) {
-    if (e.target.closest('[data-bc-ignore]')) return;
-    recordStep('click', e.target).catch(console.error);
+    const target = getEventTarget(e);
+    if (isIgnoredTarget(target)) return;
+    discoverShadowRootsInPath(e);
+    // The click that ends a pointer drag is part of the drag step
+    if (Date.now() - dragState.pointerDragEndedAt < DRAG_CLICK_WINDOW_MS) return;
+    // The second click of a double-click is recorded as the dblclick step
+    if (e.detail >= 2) return;
+    
+    // Modifier-clicks on options and grid cells are multi-select gestures, not plain selections
+    const option = getWidgetOption(target);
+    if (option && getModifierKeys(e).length === 0) {
+      recordWidgetSelection(option).catch(console.error);
+      return;
+    }
+    holdClickStep(target, e);
+  }, true);
+  
+  /**
+   * Double-clicks, context menus and modifier keys held during a click
+   */
+  const IS_MAC = /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+  
+  function getModifierKeys(e) {
+    return [
+      e.ctrlKey && 'Ctrl',
+      e.altKey && (IS_MAC ? 'Option' : 'Alt'),
+      e.shiftKey && 'Shift',
+      e.metaKey && (IS_MAC ? 'Cmd' : 'Meta')
+    ].filter(Boolean);
+  }
+  
+  function getPointerStep(action, target, e) {
+    const modifiers = getModifierKeys(e);
+    return {
+      type: 'step',
+      time: Date.now(),
+      text: getSafeText(target),
+      meta: {
+        action: action,
+        tagName: target.tagName || '',
+        timestamp: Date.now() - window.bcState.startTime,
+        ...(modifiers.length > 0 ? { modifiers: modifiers } : {})
+      }
+    };
+  }
+  
+  function recordPointerStep(action, target, e) {
+    return recordStep(getPointerStep(action, target, e), target);
+  }
+  
+  /**
+   * A click is held for the double-click interval (built at event time, stored later)
+   * and dropped if it turns out to be the first half of a dblclick
+   */
+  const DBLCLICK_WINDOW_MS = 500;
+  let pendingClick = null; // { target, step: Promise, timer }
+  
+  function holdClickStep(target, e) {
+    flushPendingClick();
+    pendingClick = {
+      target: target,
+      step: buildStep(getPointerStep('click', target, e), target),
+      timer: setTimeout(flushPendingClick, DBLCLICK_WINDOW_MS)
+    };
+  }
+  
+  function flushPendingClick() {
+    if (!pendingClick) return;
+    const pending = pendingClick;
+    pendingClick = null;
+    clearTimeout(pending.timer);
+    pending.step.then(step => {
+      if (step) storeStep(step);
+    }).catch(console.error);
+  }
+  
+  // Clicks that navigate away are stored before the page goes
+  window.addEventListener('beforeunload', flushPendingClick);
+  window.addEventListener('pagehide', flushPendingClick);
+  
+  document.addEventListener('dblclick', function(e) {
+    const target = getEventTarget(e);
+    if (pendingClick && pendingClick.target === target) {
+      clearTimeout(pendingClick.timer);
+      pendingClick = null;
+    }
+    if (isIgnoredTarget(target)) return;
+    recordPointerStep('dblclick', target, e).catch(console.error);
+  }, true);
+  
+  document.addEventListener('contextmenu', function(e) {
+    const target = getEventTarget(e);
+    if (isIgnoredTarget(target)) return;
+    recordPointerStep('contextmenu', target, e).catch(console.error);
   }, true);
   
+  /**
+   * ARIA widget selections - options in listboxes/comboboxes, menu items and date
+   * picker grid cells are recorded as 'select' steps like native <select> changes,
+   * with the widget's accessible name and the chosen option's label.
+   * Other grid cells (data tables) stay ordinary clicks.
+   */
+  const WIDGET_OPTION_SELECTOR = '[role="option"], [role="menuitem"], [role="menuitemradio"], [role="menuitemcheckbox"], [role="treeitem"]';
+  const GRID_CELL_SELECTOR = '[role="grid"] [role="gridcell"], [role="grid"] td';
+  const WIDGET_CONTAINER_SELECTOR = '[role="listbox"], [role="menu"], [role="menubar"], [role="tree"], [role="grid"]';
+  // "Monday, March 4, 2024", "4 Mar 2024", "2024-03-04", "03/04/2024"
+  const DATE_LABEL_PATTERN = /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+\d{1,2}\b|\b\d{1,2}(st|nd|rd|th)?\s+(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)|\b\d{4}-\d{2}-\d{2}\b|\b\d{1,2}[\/.]\d{1,2}[\/.]\d{2,4}\b/i;
+  
+  function getWidgetOption(element) {
+    const option = element.closest(WIDGET_OPTION_SELECTOR) || getDatePickerCell(element);
+    if (!option || option.getAttribute('aria-disabled') === 'true') return null;
+    return option;
+  }
+  
+  // Grid cells count as options only in date pickers: grids in a dialog or combobox
+  // popup, or cells labelled with a date
+  function getDatePickerCell(element) {
+    const cell = element.closest(GRID_CELL_SELECTOR);
+    if (!cell) return null;
+    
+    const grid = cell.closest('[role="grid"]');
+    if (grid.closest('[role="dialog"]')) return cell;
+    if (grid.id && getSearchRoot(grid).querySelector(
+      `[role="combobox"][aria-controls~=${quoteSelectorValue(grid.id)}], [role="combobox"][aria-owns~=${quoteSelectorValue(grid.id)}]`
+    )) {
+      return cell;
+    }
+    
+    const labelled = cell.hasAttribute('aria-label') ? cell : cell.querySelector('[aria-label]');
+    return labelled && DATE_LABEL_PATTERN.test(labelled.getAttribute('aria-label')) ? cell : null;
+  }
+  
+  // Unnamed popup listboxes and menus are named by the combobox or button that controls them
+  function getWidgetOwner(container) {
+    if (!container || !container.id || getAccessibleName(container)) return null;
+    return getSearchRoot(container).querySelector(
+      `[aria-controls~=${quoteSelectorValue(container.id)}], [aria-owns~=${quoteSelectorValue(container.id)}]`
+    );
+  }
+  
+  async function recordWidgetSelection(option, owner) {
+    const container = option.closest(WIDGET_CONTAINER_SELECTOR);
+    const controller = owner || getWidgetOwner(container);
+    const widget = controller || container;
+    const widgetRole = widget ? getElementRole(widget) : getElementRole(option);
+    const widgetName = (widget && getAccessibleName(widget)) || widgetRole || 'widget';
+    // Date picker cells usually carry the full date in an aria-label ("Monday, March 4, 2024"),
+    // often on a button inside the cell
+    const labelled = option.hasAttribute('aria-label') ? option : option.querySelector('[aria-label]');
+    const label = (labelled && normalizeText(labelled.getAttribute('aria-label'))) ||
+      getAccessibleName(option) || normalizeText(option.innerText || option.textContent);
+    
+    const step = {
+      type: 'step',
+      time: Date.now(),
+      url: await getActualTabUrl(),
+      text: widgetName,
+      sessionId: window.bcState.sessionId,
+      meta: {
+        action: 'select',
+        tagName: option.tagName || '',
+        timestamp: Date.now() - window.bcState.startTime,
+        widget: widgetRole,
+        value: label,
+        details: label,
+        // Describe the widget rather than the option element
+        accessible: {
+          role: widgetRole,
+          name: [widgetRole, 'widget'].includes(widgetName) ? '' : widgetName
+        }
+      }
+    };
+    
+    return recordStep(step, option);
+  }
+  
   
   // Input event with debouncing - capture after user stops typing (like universal-bookmarklet)
   document.addEventListener('input', function(e) {
-    if (e.target.closest('[data-bc-ignore]')) return;
+    const element = getEventTarget(e);
+    if (isIgnoredTarget(element)) return;
     
-    const element = e.target;
     const tagName = element.tagName.toLowerCase();
     
-    if (!['input', 'textarea'].includes(tagName)) return;
+    if (!['input', 'textarea'].includes(tagName)) {
+      const editor = getRichTextEditor(element);
+      if (editor) scheduleEditorInput(editor);
+      return;
+    }
     
     // Clear existing timer for this element
     if (inputTimers.has(element)) {
@@ -220,7 +931,6 @@
           time: Date.now(),
           url: await getActualTabUrl(),
           text: fieldName,
-          selector: getCssSelector(element),
           sessionId: window.bcState.sessionId,
           meta: {
             action: 'input',
@@ -231,27 +941,604 @@
           }
         };
         
-        recordStep(step).catch(console.error);
+        recordStep(step, element).catch(console.error);
       }
       inputTimers.delete(element);
     }, 800)); // 800ms delay like universal-bookmarklet
   }, true);
   
-  // Change handler for select dropdowns and other form elements
-  document.addEventListener('change', function(e) {
-    if (e.target.closest('[data-bc-ignore]')) return;
-    
-    const element = e.target;
-    const tagName = element.tagName.toLowerCase();
-    
-    if (tagName === 'select') {
-      const selectedOption = element.options[element.selectedIndex];
-      const value = selectedOption ? selectedOption.text : element.value;
-      recordStep('select', element, `Selected: ${value}`).catch(console.error);
-    } else if (tagName === 'input' && (element.type === 'checkbox' || element.type === 'radio')) {
-      recordStep('toggle', element, `${element.type} ${element.checked ? 'checked' : 'unchecked'}`).catch(console.error);
-    }
-  }, true);
+  /**
+   * Rich-text editors - contenteditable regions, ProseMirror, Quill, CKEditor and
+   * ARIA textboxes. Edits use the same 800ms idle debounce as form fields and are
+   * summarised as before/after length plus a short preview.
+   */
+  const RICH_TEXT_EDITOR_SELECTOR = '.ProseMirror, .ql-editor, .ck-editor__editable, [role="textbox"], [contenteditable]:not([contenteditable="false"])';
+  const EDITOR_PREVIEW_LENGTH = 60;
+  
+  // Editor text before the edit in progress, keyed by editor root
+  const editorBaselines = new WeakMap();
+  
+  function getRichTextEditor(element) {
+    let editor = element.closest(RICH_TEXT_EDITOR_SELECTOR);
+    if (!editor) return null;
+    // Nested contenteditable blocks belong to the outermost editing host
+    while (editor.parentElement && editor.parentElement.isContentEditable) {
+      editor = editor.parentElement;
+    }
+    return editor;
+  }
+  
+  function getEditorText(editor) {
+    return (editor.innerText || editor.textContent || '').replace(/\s+/g, ' ').trim();
+  }
+  
+  function getEditorKind(editor) {
+    if (editor.classList.contains('ProseMirror')) return 'ProseMirror editor';
+    if (editor.classList.contains('ql-editor')) return 'Quill editor';
+    if (editor.classList.contains('ck-editor__editable')) return 'CKEditor';
+    if (!editor.isContentEditable && editor.getAttribute('role') === 'textbox') return 'text box';
+    return 'rich text editor';
+  }
+  
+  function getEditorName(editor) {
+    return getAccessibleName(editor) ||
+      normalizeText(editor.getAttribute('aria-placeholder') || editor.getAttribute('data-placeholder')) ||
+      editor.id ||
+      getEditorKind(editor);
+  }
+  
+  // Remember the text before the first keystroke of an edit ('input' fires after the change)
+  function rememberEditorBaseline(e) {
+    const target = getEventTarget(e);
+    if (isIgnoredTarget(target) || ['INPUT', 'TEXTAREA'].includes(target.tagName)) return;
+    const editor = getRichTextEditor(target);
+    if (editor && !editorBaselines.has(editor)) {
+      editorBaselines.set(editor, getEditorText(editor));
+    }
+  }
+  document.addEventListener('beforeinput', rememberEditorBaseline, true);
+  document.addEventListener('focusin', rememberEditorBaseline, true);
+  
+  function scheduleEditorInput(editor) {
+    if (inputTimers.has(editor)) {
+      clearTimeout(inputTimers.get(editor));
+    }
+    
+    inputTimers.set(editor, setTimeout(async () => {
+      inputTimers.delete(editor);
+      const before = editorBaselines.has(editor) ? editorBaselines.get(editor) : '';
+      const after = getEditorText(editor);
+      editorBaselines.set(editor, after);
+      if (before === after) return;
+      
+      const fieldName = getEditorName(editor);
+      const isSensitive = SENSITIVE_PATTERNS.test(fieldName.toLowerCase());
+      const preview = isSensitive ? '[REDACTED]' : normalizeText(after, EDITOR_PREVIEW_LENGTH);
+      
+      const step = {
+        type: 'step',
+        time: Date.now(),
+        url: await getActualTabUrl(),
+        text: fieldName,
+        sessionId: window.bcState.sessionId,
+        meta: {
+          action: 'input',
+          tagName: editor.tagName || '',
+          timestamp: Date.now() - window.bcState.startTime,
+          value: preview,
+          editor: getEditorKind(editor),
+          contentChange: {
+            beforeLength: before.length,
+            afterLength: after.length,
+            preview: preview
+          },
+          details: after ? `Edited ${fieldName} (${before.length} → ${after.length} characters): "${preview}"` : `Cleared ${fieldName}`
+        }
+      };
+      
+      recordStep(step, editor).catch(console.error);
+    }, 800));
+  }
+  
+  // Change handler for select dropdowns and other form elements
+  // ('change' is not composed, so it is also attached to each shadow root)
+  function handleChange(e) {
+    const element = getEventTarget(e);
+    if (isIgnoredTarget(element)) return;
+    
+    const tagName = element.tagName.toLowerCase();
+    
+    if (tagName === 'select') {
+      const selectedOption = element.options[element.selectedIndex];
+      const value = selectedOption ? selectedOption.text : element.value;
+      recordStep('select', element, `Selected: ${value}`).catch(console.error);
+    } else if (tagName === 'input' && (element.type === 'checkbox' || element.type === 'radio')) {
+      recordStep('toggle', element, `${element.type} ${element.checked ? 'checked' : 'unchecked'}`).catch(console.error);
+    } else if (tagName === 'input' && element.type === 'file' && element.files && element.files.length > 0) {
+      recordFileUpload(element, element.files, 'input').catch(console.error);
+    }
+  }
+  document.addEventListener('change', handleChange, true);
+  
+  /**
+   * File uploads - <input type=file> selections and files dropped onto a dropzone.
+   * Only names, sizes, MIME types and the count are recorded, never file contents.
+   */
+  const MAX_RECORDED_FILES = 20;
+  
+  function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  
+  function getUploadFieldName(element) {
+    return getAccessibleName(element) || element.getAttribute('name') || element.id ||
+      (element.tagName === 'INPUT' ? 'file' : 'drop zone');
+  }
+  
+  async function recordFileUpload(element, fileList, source) {
+    const fieldName = getUploadFieldName(element);
+    const isSensitive = SENSITIVE_PATTERNS.test(fieldName.toLowerCase());
+    const allFiles = Array.from(fileList);
+    const files = allFiles.slice(0, MAX_RECORDED_FILES).map(file => ({
+      name: isSensitive ? '[REDACTED]' : file.name,
+      size: file.size,
+      type: file.type || 'unknown',
+      display: `${isSensitive ? '[REDACTED]' : file.name} (${formatFileSize(file.size)})`
+    }));
+    const totalSize = allFiles.reduce((total, file) => total + file.size, 0);
+    const summary = allFiles.length === 1
+      ? files[0].display
+      : `${allFiles.length} files (${formatFileSize(totalSize)}): ${files.map(file => file.name).join(', ')}${allFiles.length > files.length ? ', ...' : ''}`;
+    
+    const step = {
+      type: 'step',
+      time: Date.now(),
+      url: await getActualTabUrl(),
+      text: fieldName,
+      sessionId: window.bcState.sessionId,
+      meta: {
+        action: 'upload',
+        tagName: element.tagName || '',
+        timestamp: Date.now() - window.bcState.startTime,
+        source: source,
+        files: files,
+        fileCount: allFiles.length,
+        totalSize: totalSize,
+        summary: summary,
+        details: `Uploaded ${summary} to ${fieldName}${source === 'drop' ? ' (drag and drop)' : ''}`
+      }
+    };
+    
+    return recordStep(step, element);
+  }
+  
+  const DROPZONE_SELECTOR = '[aria-dropeffect], [class*="dropzone" i], [class*="drop-zone" i], [id*="dropzone" i], [id*="drop-zone" i], [data-testid*="dropzone" i], [data-testid*="drop-zone" i]';
+  
+  /**
+   * Element a file drop landed on: a marked dropzone, else the nearest ancestor
+   * holding a file input (upload widgets usually hide theirs inside)
+   */
+  function findDropzone(target) {
+    const dropzone = target.closest(DROPZONE_SELECTOR);
+    if (dropzone) return dropzone;
+    
+    for (let el = target; el && el !== document.body; el = el.parentElement) {
+      if (el.querySelector('input[type="file"]')) return el;
+    }
+    return target;
+  }
+  
+  // Files dropped from the desktop (drops onto a file input also fire 'change')
+  document.addEventListener('drop', function(e) {
+    const target = getEventTarget(e);
+    if (isIgnoredTarget(target)) return;
+    const files = e.dataTransfer && e.dataTransfer.files;
+    if (!files || files.length === 0 || (target.tagName === 'INPUT' && target.type === 'file')) return;
+    
+    const dropzone = findDropzone(target);
+    recordFileUpload(dropzone, files, 'drop').catch(console.error);
+  }, true);
+  
+  /**
+   * Drag and drop - HTML5 drags (dragstart -> drop) and pointer-based drags used by
+   * sortable lists and kanban boards. Recorded as 'drag' steps with the source,
+   * the drop target and the movement delta.
+   */
+  const DRAG_THRESHOLD_PX = 10;
+  const DRAG_CLICK_WINDOW_MS = 300;
+  const DRAG_IGNORED_SELECTOR = 'input, textarea, select, option, [contenteditable]:not([contenteditable="false"])';
+  // Elements that declare themselves draggable; anything else only counts when it really moved
+  const DRAG_SOURCE_SELECTOR = '[draggable="true"], [aria-grabbed], [aria-roledescription*="drag" i]';
+  const SORTABLE_CONTAINER_SELECTOR = '[class*="sortable" i], [data-sortable], [aria-roledescription*="sortable" i]';
+  const DRAG_ANCESTOR_LIMIT = 5;
+  
+  const dragState = {
+    html5: null,   // { source, x, y } from dragstart
+    pointer: null, // { source, x, y, pointerId, moved, declared, positions } from pointerdown
+    pointerDragEndedAt: 0
+  };
+  
+  // The declared drag handle, or the item of a sortable list or grid the pointer went down on
+  function getDeclaredDragSource(element) {
+    const declared = element.closest(DRAG_SOURCE_SELECTOR);
+    if (declared) return declared;
+    for (let node = element; node && node.parentElement; node = node.parentElement) {
+      if (node.parentElement.matches(SORTABLE_CONTAINER_SELECTOR)) return node;
+    }
+    return null;
+  }
+  
+  // Parent and index of the element and a few ancestors, to tell whether the drop moved one of them
+  function getDomPositions(element) {
+    const positions = [];
+    for (let node = element; node && positions.length < DRAG_ANCESTOR_LIMIT &&
+        node !== document.body && node !== document.documentElement; node = node.parentElement) {
+      const parent = node.parentNode;
+      positions.push({ node, parent, index: parent ? Array.prototype.indexOf.call(parent.children || [], node) : -1 });
+    }
+    return positions;
+  }
+  
+  function findMovedElement(positions) {
+    const moved = positions.find(({ node, parent, index }) => node.parentNode !== parent ||
+      (parent && Array.prototype.indexOf.call(parent.children || [], node) !== index));
+    return moved ? moved.node : null;
+  }
+  
+  // Goes through getSafeText like other step text, so sensitive elements stay redacted
+  function getDragElementName(element) {
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName)) {
+      return getSafeText(element);
+    }
+    const name = getAccessibleName(element) || normalizeText(element.innerText || element.textContent, 50);
+    return getSafeText(element, name) || element.tagName.toLowerCase();
+  }
+  
+  function describeDragDelta(delta) {
+    const parts = [];
+    if (delta.x) parts.push(`${Math.abs(delta.x)}px ${delta.x > 0 ? 'right' : 'left'}`);
+    if (delta.y) parts.push(`${Math.abs(delta.y)}px ${delta.y > 0 ? 'down' : 'up'}`);
+    return parts.join(', ') || 'no movement';
+  }
+  
+  async function recordDragStep(source, target, start, end, method) {
+    const delta = { x: Math.round(end.x - start.x), y: Math.round(end.y - start.y) };
+    const sourceName = getDragElementName(source);
+    const targetName = target ? getDragElementName(target) : '';
+    const movement = describeDragDelta(delta);
+    
+    const step = {
+      type: 'step',
+      time: Date.now(),
+      url: await getActualTabUrl(),
+      text: sourceName,
+      sessionId: window.bcState.sessionId,
+      meta: {
+        action: 'drag',
+        tagName: source.tagName || '',
+        timestamp: Date.now() - window.bcState.startTime,
+        method: method,
+        target: target ? {
+          name: targetName,
+          tagName: target.tagName,
+          selector: getCssSelector(target)
+        } : null,
+        delta: delta,
+        movement: movement,
+        details: `Dragged "${sourceName}"${target ? ` onto "${targetName}"` : ''} (${movement})`
+      }
+    };
+    
+    return recordStep(step, source);
+  }
+  
+  document.addEventListener('dragstart', function(e) {
+    const source = getEventTarget(e);
+    // The browser cancels the pointer sequence once a native drag starts
+    dragState.pointer = null;
+    dragState.html5 = isIgnoredTarget(source) ? null : { source: source, x: e.clientX, y: e.clientY };
+  }, true);
+  
+  document.addEventListener('drop', function(e) {
+    const drag = dragState.html5;
+    dragState.html5 = null;
+    const target = getEventTarget(e);
+    if (!drag || isIgnoredTarget(target)) return;
+    recordDragStep(drag.source, target, drag, { x: e.clientX, y: e.clientY }, 'html5').catch(console.error);
+  }, true);
+  
+  // Drags dropped outside any drop target are not recorded
+  document.addEventListener('dragend', function() {
+    dragState.html5 = null;
+  }, true);
+  
+  document.addEventListener('pointerdown', function(e) {
+    const source = getEventTarget(e);
+    if (!e.isPrimary || e.button !== 0 || isIgnoredTarget(source) || source.closest(DRAG_IGNORED_SELECTOR)) {
+      dragState.pointer = null;
+      return;
+    }
+    const declared = getDeclaredDragSource(source);
+    dragState.pointer = {
+      source: declared || source,
+      x: e.clientX,
+      y: e.clientY,
+      pointerId: e.pointerId,
+      moved: false,
+      declared: !!declared,
+      positions: declared ? null : getDomPositions(source)
+    };
+  }, true);
+  
+  document.addEventListener('pointermove', function(e) {
+    const drag = dragState.pointer;
+    if (!drag || drag.moved || e.pointerId !== drag.pointerId) return;
+    drag.moved = Math.hypot(e.clientX - drag.x, e.clientY - drag.y) >= DRAG_THRESHOLD_PX;
+  }, true);
+  
+  document.addEventListener('pointercancel', function() {
+    dragState.pointer = null;
+  }, true);
+  
+  document.addEventListener('pointerup', function(e) {
+    const drag = dragState.pointer;
+    dragState.pointer = null;
+    if (!drag || !drag.moved || e.pointerId !== drag.pointerId) return;
+    
+    // Selecting text with the mouse is not a drag
+    const selection = window.getSelection ? window.getSelection() : null;
+    if (selection && !selection.isCollapsed && selection.toString().trim()) return;
+    
+    // Canvas drawing, sliders, map panning and swipes move the pointer but not the element
+    const source = drag.declared ? drag.source : findMovedElement(drag.positions);
+    if (!source) return;
+    
+    // Pointer capture retargets pointerup to the source, so hit-test the drop point
+    // and skip the dragged element (or its ghost) under the cursor
+    const target = (document.elementsFromPoint ? document.elementsFromPoint(e.clientX, e.clientY) : [])
+      .find(element => !source.contains(element) && !element.closest('[data-bc-ignore]') &&
+        element !== document.documentElement && element !== document.body) || null;
+    
+    dragState.pointerDragEndedAt = Date.now();
+    recordDragStep(source, target, drag, { x: e.clientX, y: e.clientY }, 'pointer').catch(console.error);
+  }, true);
+  
+  /**
+   * Clipboard - copy, cut and paste with the field, content type and length.
+   * A short preview is kept only for non-sensitive fields, with card-like numbers masked.
+   */
+  const CLIPBOARD_PREVIEW_LENGTH = 60;
+  const CLIPBOARD_VERBS = { copy: 'Copied', cut: 'Cut', paste: 'Pasted' };
+  
+  function getClipboardField(element) {
+    if (['INPUT', 'TEXTAREA'].includes(element.tagName)) {
+      const name = getAccessibleName(element) || element.getAttribute('name') || element.id || element.placeholder || 'text';
+      return { element: element, name: name, isSensitive: isSensitiveField(element, name) };
+    }
+    const editor = getRichTextEditor(element);
+    if (editor) {
+      const name = getEditorName(editor);
+      return { element: editor, name: name, isSensitive: SENSITIVE_PATTERNS.test(name) };
+    }
+    return null;
+  }
+  
+  // Text being copied or cut: the field selection, or the page selection
+  function getSelectedText(element) {
+    if (['INPUT', 'TEXTAREA'].includes(element.tagName)) {
+      try {
+        return element.value.slice(element.selectionStart, element.selectionEnd);
+      } catch (e) {
+        return ''; // Input types without a selection API (email, number)
+      }
+    }
+    return window.getSelection ? window.getSelection().toString() : '';
+  }
+  
+  function handleClipboard(e) {
+    const target = getEventTarget(e);
+    if (isIgnoredTarget(target)) return;
+    
+    const field = getClipboardField(target);
+    let contentType = 'text';
+    let text = '';
+    let fileCount = 0;
+    
+    if (e.type === 'paste') {
+      const data = e.clipboardData;
+      if (!data) return;
+      const types = Array.from(data.types || []);
+      fileCount = data.files ? data.files.length : 0;
+      text = data.getData('text/plain') || '';
+      contentType = fileCount > 0 ? 'files' : types.includes('text/html') ? 'html' : 'text';
+    } else {
+      text = getSelectedText(target);
+      // Page and editor selections are copied as HTML as well as plain text
+      contentType = field && field.element === target ? 'text' : 'html';
+    }
+    
+    if (!text && !fileCount) return;
+    
+    const length = contentType === 'files' ? fileCount : text.length;
+    const preview = contentType === 'files' ? '' :
+      field && field.isSensitive ? '[REDACTED]' :
+      normalizeText(text, CLIPBOARD_PREVIEW_LENGTH).replace(/\b(?:\d[ -]?){12,18}\d\b/g, '[REDACTED]');
+    const amount = contentType === 'files' ? `${fileCount} file${fileCount === 1 ? '' : 's'}` : `${length} characters`;
+    const place = field ? `${e.type === 'paste' ? 'into' : 'from'} ${field.name}` : '';
+    
+    recordStep({
+      type: 'step',
+      time: Date.now(),
+      text: field ? field.name : '',
+      meta: {
+        action: e.type,
+        tagName: target.tagName || '',
+        timestamp: Date.now() - window.bcState.startTime,
+        value: preview,
+        clipboard: {
+          contentType: contentType,
+          length: length,
+          field: field ? field.name : null,
+          sensitive: !!(field && field.isSensitive)
+        },
+        details: `${CLIPBOARD_VERBS[e.type]} ${amount}${place ? ' ' + place : ''}`
+      }
+    }, field ? field.element : target).catch(console.error);
+  }
+  document.addEventListener('copy', handleClipboard, true);
+  document.addEventListener('cut', handleClipboard, true);
+  document.addEventListener('paste', handleClipboard, true);
+  
+  /**
+   * Environment - tab visibility, window focus, viewport resizes (debounced, with the
+   * breakpoint crossed), orientation and zoom / devicePixelRatio changes. Recorded in the
+   * top frame only so iframes don't duplicate them.
+   */
+  const ENVIRONMENT_RESIZE_DEBOUNCE_MS = 500;
+  // Page dialogs and the extension popup blur the window too; a blur is only
+  // recorded once it has lasted this long without either of them
+  const WINDOW_BLUR_MIN_MS = 1000;
+  const VIEWPORT_BREAKPOINTS = [
+    { name: 'mobile', minWidth: 0 },
+    { name: 'tablet', minWidth: 768 },
+    { name: 'desktop', minWidth: 1024 },
+    { name: 'wide', minWidth: 1440 }
+  ];
+  
+  let environmentState = null; // { width, height, dpr, hiddenAt, blurredAt }
+  let environmentResizeTimer = null;
+  let windowBlurTimer = null;
+  let dprMediaQuery = null;
+  let popupPortCount = 0;
+  
+  function getBreakpoint(width) {
+    return VIEWPORT_BREAKPOINTS.filter(breakpoint => width >= breakpoint.minWidth).pop().name;
+  }
+  
+  function getViewport() {
+    return { width: window.innerWidth, height: window.innerHeight, dpr: window.devicePixelRatio || 1 };
+  }
+  
+  function formatAwayTime(since) {
+    const seconds = Math.round((Date.now() - since) / 1000);
+    return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  }
+  
+  function recordEnvironmentStep(event, description, data = {}) {
+    recordStep({
+      type: 'environment',
+      time: Date.now(),
+      text: description,
+      meta: {
+        action: 'environment',
+        timestamp: Date.now() - window.bcState.startTime,
+        environment: { event: event, ...data },
+        details: description
+      }
+    }).catch(console.error);
+  }
+  
+  function checkViewportChange() {
+    environmentResizeTimer = null;
+    const previous = environmentState;
+    const current = getViewport();
+    environmentState = { ...previous, ...current };
+    watchDevicePixelRatio();
+    
+    const size = `${current.width}×${current.height}`;
+    if (current.dpr !== previous.dpr) {
+      // Browser zoom also resizes the viewport; report it once, as a zoom
+      recordEnvironmentStep('zoom', `Zoom changed: device pixel ratio ${previous.dpr} → ${current.dpr} (viewport ${size})`, {
+        fromDpr: previous.dpr,
+        toDpr: current.dpr,
+        viewport: { width: current.width, height: current.height }
+      });
+    } else if (current.width !== previous.width || current.height !== previous.height) {
+      const fromBreakpoint = getBreakpoint(previous.width);
+      const toBreakpoint = getBreakpoint(current.width);
+      const crossed = fromBreakpoint !== toBreakpoint ? ` (${fromBreakpoint} → ${toBreakpoint})` : '';
+      recordEnvironmentStep('resize', `Resized viewport from ${previous.width}×${previous.height} to ${size}${crossed}`, {
+        from: { width: previous.width, height: previous.height },
+        to: { width: current.width, height: current.height },
+        breakpoint: { from: fromBreakpoint, to: toBreakpoint, crossed: !!crossed }
+      });
+    }
+  }
+  
+  function scheduleViewportCheck() {
+    clearTimeout(environmentResizeTimer);
+    environmentResizeTimer = setTimeout(checkViewportChange, ENVIRONMENT_RESIZE_DEBOUNCE_MS);
+  }
+  
+  // A resolution query that stops matching when devicePixelRatio changes
+  // (moving to another monitor changes it without a resize)
+  function watchDevicePixelRatio() {
+    if (!window.matchMedia) return;
+    if (dprMediaQuery) dprMediaQuery.removeEventListener('change', scheduleViewportCheck);
+    dprMediaQuery = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+    dprMediaQuery.addEventListener('change', scheduleViewportCheck);
+  }
+  
+  if (IS_TOP_FRAME) {
+    environmentState = { ...getViewport(), hiddenAt: null, blurredAt: null };
+    watchDevicePixelRatio();
+    window.addEventListener('resize', scheduleViewportCheck);
+    
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) {
+        environmentState.hiddenAt = Date.now();
+        recordEnvironmentStep('hidden', 'Switched away from the tab (page hidden)', { visibilityState: 'hidden' });
+      } else if (environmentState.hiddenAt) {
+        const away = formatAwayTime(environmentState.hiddenAt);
+        environmentState.hiddenAt = null;
+        recordEnvironmentStep('visible', `Returned to the tab after ${away}`, { visibilityState: 'visible', away: away });
+      }
+    });
+    
+    // The popup holds a port open to the tab while it is showing
+    chrome.runtime.onConnect.addListener(port => {
+      if (port.name !== 'bc-popup') return;
+      popupPortCount++;
+      clearTimeout(windowBlurTimer);
+      port.onDisconnect.addListener(() => {
+        popupPortCount--;
+      });
+    });
+    
+    window.addEventListener('blur', () => {
+      clearTimeout(windowBlurTimer);
+      // Hiding the tab also blurs the window (visibilitychange reports that), and a
+      // blocking alert/confirm/"Leave site?" prompt holds this timer until it closes,
+      // by which time the window has focus again
+      windowBlurTimer = setTimeout(() => {
+        const active = document.activeElement;
+        if (document.hidden || document.hasFocus() || popupPortCount > 0 ||
+            (active && ['IFRAME', 'FRAME'].includes(active.tagName))) return;
+        environmentState.blurredAt = Date.now() - WINDOW_BLUR_MIN_MS;
+        recordEnvironmentStep('window-blur', 'Browser window lost focus');
+      }, WINDOW_BLUR_MIN_MS);
+    });
+    
+    window.addEventListener('focus', () => {
+      clearTimeout(windowBlurTimer);
+      if (!environmentState.blurredAt) return;
+      const away = formatAwayTime(environmentState.blurredAt);
+      environmentState.blurredAt = null;
+      recordEnvironmentStep('window-focus', `Browser window regained focus after ${away}`, { away: away });
+    });
+    
+    const handleOrientationChange = () => {
+      const orientation = screen.orientation ? screen.orientation.type : (Math.abs(window.orientation) === 90 ? 'landscape' : 'portrait');
+      recordEnvironmentStep('orientation', `Rotated the device to ${orientation.replace('-primary', '').replace('-secondary', ' (upside down)')}`, { orientation: orientation });
+    };
+    if (screen.orientation && screen.orientation.addEventListener) {
+      screen.orientation.addEventListener('change', handleOrientationChange);
+    } else {
+      window.addEventListener('orientationchange', handleOrientationChange);
+    }
+  }
   
   // Focus handler for form elements - DISABLED to reduce verbosity
   // document.addEventListener('focus', function(e) {
@@ -278,10 +1565,10 @@
   // }, true);
   
   // Submit handler with form data capture - improved accuracy
-  document.addEventListener('submit', function(e) {
-    if (e.target.closest('[data-bc-ignore]')) return;
-    
-    const form = e.target;
+  // ('submit' is not composed, so it is also attached to each shadow root)
+  function handleSubmit(e) {
+    const form = getEventTarget(e);
+    if (isIgnoredTarget(form)) return;
     
     // Only record if form has meaningful content
     const formData = new FormData(form);
@@ -293,17 +1580,222 @@
       // Get form identifier for better tracking
       const formId = form.id || form.name || form.className || 'form';
       const formInfo = `Submitted the form`;
-      recordStep('submit', form, formInfo).catch(console.error);
+      recordStep({
+        type: 'step',
+        time: Date.now(),
+        text: getSafeText(form, formInfo),
+        meta: {
+          action: 'submit',
+          tagName: form.tagName,
+          timestamp: Date.now() - window.bcState.startTime,
+          form: getAccessibleName(form) || form.getAttribute('name') || form.id || '',
+          fields: getFormSnapshot(form, e.submitter)
+        }
+      }, form).catch(console.error);
     }
-  }, true);
+  }
+  
+  /**
+   * Redacted table of the named fields a form submits: name, label, type and value.
+   * Sensitive fields (by name, label, type or autocomplete) and all hidden inputs
+   * (CSRF/authenticity tokens, session ids, nonces) are masked.
+   */
+  const MAX_SNAPSHOT_FIELDS = 50;
+  const SENSITIVE_AUTOCOMPLETE = /^(cc-|current-password|new-password|one-time-code)/;
+  
+  function isSensitiveField(field, label) {
+    return field.type === 'password' ||
+      field.type === 'hidden' ||
+      SENSITIVE_PATTERNS.test(field.name) ||
+      SENSITIVE_PATTERNS.test(label) ||
+      SENSITIVE_AUTOCOMPLETE.test((field.getAttribute('autocomplete') || '').trim());
+  }
+  
+  function getFieldSnapshotValue(field) {
+    switch (field.type) {
+      case 'checkbox':
+        return field.checked ? (field.value && field.value !== 'on' ? field.value : 'checked') : 'unchecked';
+      case 'select-one':
+      case 'select-multiple':
+        return Array.from(field.selectedOptions || []).map(option => option.text.trim()).join(', ');
+      case 'file':
+        return Array.from(field.files || []).map(file => file.name).join(', ');
+      default:
+        return field.value || '';
+    }
+  }
+  
+  function getFormSnapshot(form, submitter) {
+    const fields = [];
+    const seenRadioGroups = new Set();
+    
+    Array.from(form.elements || []).forEach(field => {
+      if (!field.name || field.disabled || fields.length >= MAX_SNAPSHOT_FIELDS) return;
+      // Only the button that submitted the form sends its value
+      if (['submit', 'button', 'reset', 'image'].includes(field.type) || field.tagName === 'BUTTON' || field.tagName === 'FIELDSET') {
+        if (field !== submitter) return;
+      }
+      
+      let value = getFieldSnapshotValue(field);
+      let label = getAccessibleName(field);
+      if (field.type === 'radio') {
+        if (seenRadioGroups.has(field.name)) return;
+        seenRadioGroups.add(field.name);
+        const checked = Array.from(form.elements).find(other => other.type === 'radio' && other.name === field.name && other.checked);
+        value = checked ? (getAccessibleName(checked) || checked.value) : '(none selected)';
+        // A radio group is labelled by its radiogroup or fieldset, not by one option
+        const group = field.closest('[role="radiogroup"], fieldset');
+        const legend = group && group.tagName === 'FIELDSET' ? group.querySelector('legend') : null;
+        label = (group && getAccessibleName(group)) || (legend ? normalizeText(legend.textContent) : '');
+      }
+
+      fields.push({
+        name: field.name,
+        label: label,
+        type: field.type || field.tagName.toLowerCase(),
+        value: isSensitiveField(field, label) ? '[REDACTED]' : normalizeText(value, MAX_INPUT_LENGTH)
+      });
+    });
+    
+    return fields;
+  }
+  document.addEventListener('submit', handleSubmit, true);
+  
+  /**
+   * Form validation - a submit blocked by constraint validation never fires 'submit',
+   * so 'invalid' events (and fields switching to aria-invalid="true") are collected
+   * briefly and recorded as one "Form validation failed" step per form.
+   */
+  const VALIDATION_BATCH_MS = 100;
+  const VALIDATION_DEDUPE_MS = 1000;
+  const VALIDITY_CONSTRAINTS = [
+    ['valueMissing', 'required'],
+    ['typeMismatch', 'type'],
+    ['patternMismatch', 'pattern'],
+    ['tooShort', 'minlength'],
+    ['tooLong', 'maxlength'],
+    ['rangeUnderflow', 'min'],
+    ['rangeOverflow', 'max'],
+    ['stepMismatch', 'step'],
+    ['badInput', 'bad input'],
+    ['customError', 'custom']
+  ];
+  
+  const validationState = {
+    pending: new Map(), // form (or null) -> Map(field -> failure)
+    timer: null,
+    lastKey: '',
+    lastTime: 0
+  };
+  
+  function getValidationConstraint(field) {
+    const validity = field.validity;
+    if (!validity) return 'aria-invalid';
+    const match = VALIDITY_CONSTRAINTS.find(([flag]) => validity[flag]);
+    return match ? match[1] : 'aria-invalid';
+  }
+  
+  // Message of an ARIA-validated field, taken from its aria-errormessage / aria-describedby element
+  function getAriaErrorMessage(field) {
+    const ids = (field.getAttribute('aria-errormessage') || field.getAttribute('aria-describedby') || '').split(/\s+/);
+    const text = ids.filter(Boolean)
+      .map(id => getSearchRoot(field).getElementById(id))
+      .filter(Boolean)
+      .map(element => element.textContent)
+      .join(' ');
+    return normalizeText(text, 200);
+  }
+  
+  function queueValidationFailure(field, failure) {
+    const form = field.form || field.closest('form');
+    if (!validationState.pending.has(form)) {
+      validationState.pending.set(form, new Map());
+    }
+    validationState.pending.get(form).set(field, failure);
+    
+    clearTimeout(validationState.timer);
+    validationState.timer = setTimeout(flushValidationFailures, VALIDATION_BATCH_MS);
+  }
+  
+  function handleInvalid(e) {
+    const field = getEventTarget(e);
+    if (isIgnoredTarget(field)) return;
+    queueValidationFailure(field, {
+      message: normalizeText(field.validationMessage, 200),
+      constraint: getValidationConstraint(field)
+    });
+  }
+  // 'invalid' does not bubble, capture still reaches document (and each shadow root)
+  document.addEventListener('invalid', handleInvalid, true);
+  
+  function handleAriaInvalidChange(field, oldValue) {
+    const value = field.getAttribute('aria-invalid');
+    const isInvalid = value !== null && value !== 'false' && value !== '';
+    const wasInvalid = oldValue !== null && oldValue !== 'false' && oldValue !== '';
+    if (!isInvalid || wasInvalid || isIgnoredTarget(field)) return;
+    queueValidationFailure(field, {
+      message: getAriaErrorMessage(field),
+      constraint: 'aria-invalid'
+    });
+  }
+  
+  function flushValidationFailures() {
+    const pending = validationState.pending;
+    validationState.pending = new Map();
+    validationState.timer = null;
+    
+    pending.forEach((failures, form) => {
+      const fields = Array.from(failures.entries()).map(([field, failure]) => ({
+        name: getAccessibleName(field) || field.getAttribute('name') || field.id || field.tagName.toLowerCase(),
+        selector: getCssSelector(field),
+        validationMessage: failure.message,
+        constraint: failure.constraint
+      }));
+      
+      // Frameworks often re-run checkValidity() on every render
+      const key = JSON.stringify(fields);
+      if (key === validationState.lastKey && Date.now() - validationState.lastTime < VALIDATION_DEDUPE_MS) return;
+      validationState.lastKey = key;
+      validationState.lastTime = Date.now();
+      
+      const formName = form ? (getAccessibleName(form) || form.getAttribute('name') || form.id || '') : '';
+      recordStep({
+        type: 'step',
+        time: Date.now(),
+        text: 'Form validation failed',
+        meta: {
+          action: 'validation-failed',
+          tagName: form ? form.tagName : '',
+          timestamp: Date.now() - window.bcState.startTime,
+          form: formName,
+          fields: fields,
+          details: `Form validation failed: ${fields.map(field => `${field.name} (${field.constraint}${field.validationMessage ? `: ${field.validationMessage}` : ''})`).join('; ')}`
+        }
+      }, form || failures.keys().next().value).catch(console.error);
+    });
+  }
   
   // Keydown handler for special keys
   document.addEventListener('keydown', function(e) {
-    if (e.target.closest('[data-bc-ignore]')) return;
+    const target = getEventTarget(e);
+    if (isIgnoredTarget(target)) return;
+    
+    // Keyboard selection in ARIA widgets: the active option of a combobox/listbox
+    // (aria-activedescendant) or a focused option. Buttons and links get a click.
+    const isTextField = ['INPUT', 'TEXTAREA'].includes(target.tagName);
+    if ((e.key === 'Enter' || (e.key === ' ' && !isTextField)) && !target.closest('button, a[href]')) {
+      const activeId = target.getAttribute('aria-activedescendant');
+      const active = activeId ? getSearchRoot(target).getElementById(activeId) : target;
+      const option = active && getWidgetOption(active);
+      if (option) {
+        recordWidgetSelection(option, activeId ? target : null).catch(console.error);
+        return;
+      }
+    }
     
     // Record Enter key presses in form elements
-    if (e.key === 'Enter' && ['input', 'textarea'].includes(e.target.tagName.toLowerCase())) {
-      recordStep('keypress', e.target, 'Pressed Enter').catch(console.error);
+    if (e.key === 'Enter' && ['input', 'textarea'].includes(target.tagName.toLowerCase())) {
+      recordStep('keypress', target, 'Pressed Enter').catch(console.error);
     }
     // Handle Alt+Ctrl+P key combination for screenshots
     else if (e.altKey && e.ctrlKey && e.code === 'KeyP' && window.bcState.recording) {
@@ -350,22 +1842,456 @@
     }
     // Record Escape key presses
     else if (e.key === 'Escape') {
-      recordStep('keypress', e.target, 'Pressed Escape').catch(console.error);
+      recordStep('keypress', target, 'Pressed Escape').catch(console.error);
     }
     // Record Tab navigation
     else if (e.key === 'Tab') {
-      recordStep('navigation', e.target, `Tab ${e.shiftKey ? 'backward' : 'forward'}`).catch(console.error);
+      recordStep('navigation', target, `Tab ${e.shiftKey ? 'backward' : 'forward'}`).catch(console.error);
+    }
+    // App shortcuts and navigation keys, depending on the keyboardCapture setting
+    else {
+      handleKeyboardCapture(e, target);
     }
   }, true);
   
   /**
-   * Create interactive indicator element with toggle functionality
+   * Keyboard capture policy (settings.keyboardCapture):
+   *   'none'      - only the Enter/Escape/Tab steps above
+   *   'shortcuts' - plus Ctrl/Alt/Cmd combinations and function keys
+   *   'all'       - plus every other non-text key (arrows, Delete, Home, PageDown...)
+   * Inside text fields only Ctrl/Alt/Cmd combinations are recorded, never typed characters.
+   * Repeats of the same key on the same element are merged into one step.
    */
-  function createIndicator() {
-    if (window.bcState.indicator) {
-      window.bcState.indicator.remove();
+  const KEY_REPEAT_MERGE_MS = 800;
+  const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta', 'AltGraph', 'CapsLock', 'Fn', 'OS'];
+  const NON_TEXT_INPUT_TYPES = ['checkbox', 'radio', 'button', 'submit', 'reset', 'image', 'range', 'color', 'file'];
+  
+  let pendingKeyStep = null; // { combo, target, count, time, timer }
+  
+  function isTextEntryTarget(target) {
+    if (target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable) return true;
+    if (target.tagName === 'INPUT') return !NON_TEXT_INPUT_TYPES.includes(target.type);
+    return !!getRichTextEditor(target);
+  }
+  
+  // "Ctrl+Shift+K"; letters and digits come from e.code so Alt/Option combos stay readable
+  function getKeyCombo(e) {
+    let key = e.key === ' ' ? 'Space' : e.key;
+    const codeMatch = (e.code || '').match(/^(?:Key([A-Z])|Digit(\d))$/);
+    if (codeMatch && (e.ctrlKey || e.altKey || e.metaKey)) {
+      key = codeMatch[1] || codeMatch[2];
+    } else if (key.length === 1) {
+      key = key.toUpperCase();
     }
-    
+    return [...getModifierKeys(e), key].join('+');
+  }
+  
+  function flushKeyStep() {
+    const pending = pendingKeyStep;
+    pendingKeyStep = null;
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    
+    recordStep({
+      type: 'step',
+      time: pending.time,
+      text: pending.combo,
+      meta: {
+        action: 'keypress',
+        tagName: pending.target.tagName || '',
+        timestamp: pending.time - window.bcState.startTime,
+        key: pending.key,
+        modifiers: pending.modifiers,
+        count: pending.count,
+        details: pending.count > 1 ? `Pressed ${pending.combo} ${pending.count} times` : `Pressed ${pending.combo}`
+      }
+    }, pending.target).catch(console.error);
+  }
+  
+  function handleKeyboardCapture(e, target) {
+    const policy = window.bcState.settings.keyboardCapture || 'shortcuts';
+    if (policy === 'none' || !window.bcState.recording || e.isComposing || MODIFIER_KEYS.includes(e.key)) return;
+    // AltGr types characters (@, €, {) on many layouts; it is never a shortcut
+    if (e.getModifierState && e.getModifierState('AltGraph')) return;
+    
+    // The extension's own shortcuts (toggle recording / selector mode)
+    if (e.ctrlKey && e.shiftKey && ['B', 'S'].includes(e.key)) return;
+    
+    const modifiers = getModifierKeys(e);
+    const hasCommandModifier = e.ctrlKey || e.metaKey || (e.altKey && !IS_MAC);
+    const isFunctionKey = /^F\d{1,2}$/.test(e.key);
+    const isNamedKey = e.key.length > 1 || e.key === ' ';
+    
+    if (isTextEntryTarget(target)) {
+      // Typing (including Shift and Option characters) is never recorded key by key
+      if (!hasCommandModifier) return;
+      // Windows reports AltGr as Ctrl+Alt, so Ctrl+Alt plus a printable character is typing too
+      if (e.ctrlKey && e.altKey && e.key.length === 1) return;
+    } else if (!hasCommandModifier && !isFunctionKey) {
+      if (policy !== 'all' || !isNamedKey) return;
+    }
+    
+    const combo = getKeyCombo(e);
+    if (pendingKeyStep && pendingKeyStep.combo === combo && pendingKeyStep.target === target) {
+      pendingKeyStep.count++;
+      clearTimeout(pendingKeyStep.timer);
+    } else {
+      flushKeyStep();
+      pendingKeyStep = { combo: combo, key: e.key, modifiers: modifiers, target: target, count: 1, time: Date.now() };
+    }
+    pendingKeyStep.timer = setTimeout(flushKeyStep, KEY_REPEAT_MERGE_MS);
+  }
+  
+  /**
+   * Scroll capture - one step per scroll gesture, per scroll target
+   */
+  const SCROLL_DEBOUNCE_MS = 400;
+  const MIN_SCROLL_DISTANCE = 50; // Ignore tiny adjustments
+  const scrollGestures = new Map(); // scroll target -> { start, timer }
+  const lastScrollOffsets = new WeakMap(); // scroll target -> offset at the end of its last gesture
+  
+  function getScrollOffset(target) {
+    if (target === window) {
+      return { x: Math.round(window.scrollX), y: Math.round(window.scrollY) };
+    }
+    return { x: Math.round(target.scrollLeft), y: Math.round(target.scrollTop) };
+  }
+  
+  /**
+   * Readable name for a scrollable container
+   */
+  function getScrollContainerName(element) {
+    const label = element.getAttribute('aria-label') || element.getAttribute('title');
+    if (label) return label.trim().slice(0, 60);
+    if (element.id) return element.id;
+    const role = element.getAttribute('role');
+    if (role) return role;
+    const className = typeof element.className === 'string' ? element.className.split(' ').find(c => c && !c.startsWith('bc-')) : '';
+    return className ? `${element.tagName.toLowerCase()}.${className}` : element.tagName.toLowerCase();
+  }
+  
+  async function recordScrollGesture(target, start) {
+    const end = getScrollOffset(target);
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    if (Math.abs(dx) < MIN_SCROLL_DISTANCE && Math.abs(dy) < MIN_SCROLL_DISTANCE) return;
+    
+    const vertical = Math.abs(dy) >= Math.abs(dx);
+    const direction = vertical ? (dy > 0 ? 'down' : 'up') : (dx > 0 ? 'right' : 'left');
+    const distance = Math.abs(vertical ? dy : dx);
+    const isWindow = target === window;
+    const name = isWindow ? 'page' : getScrollContainerName(target);
+    
+    recordStep({
+      type: 'step',
+      time: Date.now(),
+      text: name,
+      selector: isWindow ? 'window' : '',
+      meta: {
+        action: 'scroll',
+        tagName: isWindow ? '' : target.tagName,
+        timestamp: Date.now() - window.bcState.startTime,
+        direction: direction,
+        distance: distance,
+        offset: end,
+        container: !isWindow,
+        details: `Scrolled ${direction} ${distance}px ${isWindow ? 'on the page' : `in ${name}`} (now at ${vertical ? end.y : end.x}px)`
+      }
+    }, isWindow ? null : target).catch(console.error);
+  }
+  
+  /**
+   * Remember where the page and every scrollable container are when recording starts,
+   * since a scroll event only fires once the offset has already moved
+   */
+  function seedScrollOffsets() {
+    lastScrollOffsets.set(window, getScrollOffset(window));
+    document.querySelectorAll('body *').forEach(element => {
+      if (element.scrollHeight > element.clientHeight || element.scrollWidth > element.clientWidth) {
+        lastScrollOffsets.set(element, getScrollOffset(element));
+      }
+    });
+  }
+  
+  // ('scroll' is not composed, so it is also attached to each shadow root)
+  function handleScroll(e) {
+    if (!window.bcState.recording) return;
+    
+    const isWindow = e.target === document || e.target === document.documentElement || e.target === document.scrollingElement;
+    const target = isWindow ? window : e.target;
+    if (!isWindow && isIgnoredTarget(target)) return;
+    
+    let gesture = scrollGestures.get(target);
+    if (!gesture) {
+      // The offset before this gesture is unknown once the event fires, so use the
+      // last recorded end position or the one seeded at recording start; containers
+      // that became scrollable later fall back to the current position
+      gesture = { start: lastScrollOffsets.get(target) || getScrollOffset(target), timer: null };
+      scrollGestures.set(target, gesture);
+    }
+    
+    clearTimeout(gesture.timer);
+    gesture.timer = setTimeout(() => {
+      scrollGestures.delete(target);
+      lastScrollOffsets.set(target, getScrollOffset(target));
+      recordScrollGesture(target, gesture.start);
+    }, SCROLL_DEBOUNCE_MS);
+  }
+  document.addEventListener('scroll', handleScroll, true);
+  
+  /**
+   * Dwell-based hover capture for menus, tooltips and hover-revealed content
+   */
+  const HOVER_DWELL_MS = 600;
+  const HOVER_TRIGGER_SELECTOR = [
+    '[aria-haspopup]:not([aria-haspopup="false"])',
+    '[data-tooltip]',
+    '[data-toggle="tooltip"]',
+    '[data-bs-toggle="tooltip"]',
+    '[data-toggle="dropdown"]',
+    '[data-bs-toggle="dropdown"]'
+  ].join(', ');
+  
+  let hoverDwell = null; // { element, reveal, tooltipOnly, timer, observer, revealed }
+  let lastHoveredElement = null;
+  let hoverRevealSelectors = null;
+  let hoverRevealSheetCount = -1;
+  
+  /**
+   * Collect "trigger" selectors from stylesheet rules like `.menu li:hover > ul { display: block }`
+   * so CSS-only hover menus can be recognised
+   */
+  function getHoverRevealSelectors() {
+    if (hoverRevealSelectors && hoverRevealSheetCount === document.styleSheets.length) {
+      return hoverRevealSelectors;
+    }
+    
+    const selectors = new Set();
+    const collect = (rules) => {
+      Array.from(rules || []).forEach(rule => {
+        if (rule.cssRules && !rule.selectorText) {
+          collect(rule.cssRules); // @media, @supports
+          return;
+        }
+        if (!rule.selectorText || !rule.selectorText.includes(':hover')) return;
+        const style = rule.style;
+        if (!style || !(style.display || style.visibility || style.opacity || style.maxHeight || style.transform)) return;
+        
+        rule.selectorText.split(',').forEach(selector => {
+          const match = selector.match(/^(.*?:hover[^\s>+~]*)\s*[\s>+~]\s*\S/);
+          if (!match) return;
+          const trigger = match[1].replace(/:hover/g, '').trim() || '*';
+          try {
+            document.documentElement.matches(trigger);
+            selectors.add(trigger);
+          } catch (e) {
+            // Selector not usable with matches()
+          }
+        });
+      });
+    };
+    
+    Array.from(document.styleSheets).forEach(sheet => {
+      try {
+        collect(sheet.cssRules);
+      } catch (e) {
+        // Cross-origin stylesheet
+      }
+    });
+    
+    hoverRevealSelectors = Array.from(selectors);
+    hoverRevealSheetCount = document.styleSheets.length;
+    return hoverRevealSelectors;
+  }
+  
+  /**
+   * Find the element a hover is meant for and what it is expected to reveal
+   */
+  function getHoverCandidate(target) {
+    const trigger = target.closest(HOVER_TRIGGER_SELECTOR);
+    if (trigger) {
+      const reveal = trigger.hasAttribute('aria-haspopup') || /dropdown/.test(trigger.getAttribute('data-toggle') || trigger.getAttribute('data-bs-toggle') || '')
+        ? 'menu'
+        : 'tooltip';
+      return { element: trigger, reveal: reveal };
+    }
+    
+    const selectors = getHoverRevealSelectors();
+    let element = target;
+    for (let depth = 0; element && element !== document.body && depth < 5; depth++) {
+      if (selectors.some(selector => element.matches(selector))) {
+        return { element: element, reveal: 'content' };
+      }
+      element = element.parentElement;
+    }
+    
+    // Otherwise only record the hover if it visibly changes the page or shows a
+    // role="tooltip" description (checked when the dwell ends). Plain form fields
+    // with aria-describedby hints only count for the tooltip.
+    const interactive = target.closest('a, button, li, [role="menuitem"], [role="button"], [tabindex]');
+    if (interactive) return { element: interactive, reveal: null };
+    const described = target.closest('[aria-describedby]');
+    return described ? { element: described, reveal: null, tooltipOnly: true } : null;
+  }
+  
+  /**
+   * Whether aria-describedby points at a role="tooltip" element
+   */
+  function hasTooltipDescription(element) {
+    const ids = (element.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+    const root = element.getRootNode();
+    return ids.some(id => {
+      const description = root.getElementById ? root.getElementById(id) : document.getElementById(id);
+      return !!description && description.getAttribute('role') === 'tooltip';
+    });
+  }
+  
+  function cancelHoverDwell() {
+    if (!hoverDwell) return;
+    clearTimeout(hoverDwell.timer);
+    if (hoverDwell.observer) hoverDwell.observer.disconnect();
+    hoverDwell = null;
+  }
+  
+  document.addEventListener('mouseover', function(e) {
+    const target = getEventTarget(e);
+    if (!window.bcState.recording || isIgnoredTarget(target)) return;
+    if (hoverDwell && hoverDwell.element.contains(target)) return;
+    
+    discoverShadowRootsInPath(e);
+    cancelHoverDwell();
+    const candidate = getHoverCandidate(target);
+    if (!candidate || candidate.element === lastHoveredElement) return;
+    
+    const dwell = { element: candidate.element, reveal: candidate.reveal, tooltipOnly: !!candidate.tooltipOnly, revealed: false, observer: null, timer: null };
+    
+    // Watch for content that appears while the pointer rests on the element.
+    // Hover styling applied to the element itself (or its ancestors) doesn't count.
+    dwell.observer = new MutationObserver((mutations) => {
+      dwell.revealed = dwell.revealed || mutations.some(mutation =>
+        !(mutation.target.closest && mutation.target.closest('[data-bc-ignore]')) &&
+        (mutation.type === 'childList'
+          ? Array.from(mutation.addedNodes).some(node => !(node.nodeType === Node.ELEMENT_NODE && node.hasAttribute('data-bc-ignore')))
+          : !mutation.target.contains(dwell.element))
+      );
+    });
+    dwell.observer.observe(document.body || document.documentElement, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['style', 'class', 'hidden', 'aria-expanded', 'aria-hidden', 'open']
+    });
+    
+    dwell.timer = setTimeout(() => {
+      const reveal = dwell.reveal ||
+        (hasTooltipDescription(dwell.element) ? 'tooltip' : null) ||
+        (dwell.revealed && !dwell.tooltipOnly ? 'content' : null);
+      cancelHoverDwell();
+      if (!reveal) return;
+      
+      lastHoveredElement = dwell.element;
+      const details = reveal === 'menu' ? 'Opened menu on hover' : reveal === 'tooltip' ? 'Showed tooltip on hover' : 'Revealed content on hover';
+      recordStep({
+        type: 'step',
+        time: Date.now(),
+        text: getSafeText(dwell.element),
+        meta: {
+          action: 'hover',
+          tagName: dwell.element.tagName,
+          timestamp: Date.now() - window.bcState.startTime,
+          reveal: reveal,
+          details: details
+        }
+      }, dwell.element).catch(console.error);
+    }, HOVER_DWELL_MS);
+    
+    hoverDwell = dwell;
+  }, true);
+  
+  document.addEventListener('mouseout', function(e) {
+    if (!hoverDwell) return;
+    if (e.relatedTarget && hoverDwell.element.contains(e.relatedTarget)) return;
+    cancelHoverDwell();
+  }, true);
+  
+  // A click means the user moved on; allow the same menu to be recorded again later
+  document.addEventListener('mousedown', function() {
+    cancelHoverDwell();
+    lastHoveredElement = null;
+  }, true);
+  
+  /**
+   * Shadow DOM support - composed events (click, input, keydown...) reach the
+   * document listeners, but change, submit, scroll and invalid stop at the shadow root,
+   * so those listeners are attached to every open shadow root we find.
+   */
+  const knownShadowRoots = new Set();
+  
+  // Error detection watches added nodes, text changes, attributes that show or hide
+  // messages, and fields flipping to aria-invalid
+  const ERROR_OBSERVER_OPTIONS = {
+    childList: true,
+    subtree: true,
+    characterData: true,
+    attributes: true,
+    attributeFilter: ['aria-invalid', 'class', 'style', 'hidden', 'aria-hidden', 'role', 'open'],
+    attributeOldValue: true
+  };
+  
+  function registerShadowRoot(root) {
+    if (!root || knownShadowRoots.has(root)) return;
+    knownShadowRoots.add(root);
+    
+    root.addEventListener('change', handleChange, true);
+    root.addEventListener('submit', handleSubmit, true);
+    root.addEventListener('scroll', handleScroll, true);
+    root.addEventListener('invalid', handleInvalid, true);
+    
+    if (window.bcState.errorObserver && window.bcState.recording) {
+      window.bcState.errorObserver.observe(root, ERROR_OBSERVER_OPTIONS);
+    }
+    discoverShadowRoots(root);
+  }
+  
+  /**
+   * Register open shadow roots at or below a node (including nested ones)
+   */
+  function discoverShadowRoots(node) {
+    if (!node || !node.querySelectorAll) return;
+    if (node.shadowRoot) registerShadowRoot(node.shadowRoot);
+    
+    node.querySelectorAll('*').forEach(element => {
+      if (element.shadowRoot) registerShadowRoot(element.shadowRoot);
+    });
+  }
+  
+  /**
+   * Register shadow roots an event passed through (cheap way to find lazily attached roots)
+   */
+  function discoverShadowRootsInPath(e) {
+    if (!window.bcState.recording || typeof e.composedPath !== 'function') return;
+    e.composedPath().forEach(node => {
+      if (node instanceof ShadowRoot) registerShadowRoot(node);
+    });
+  }
+  
+  // Shadow roots are only searched for while recording; syncRecordingState does a
+  // full discovery when recording starts
+  document.addEventListener('focusin', discoverShadowRootsInPath, true);
+  
+  // Frames that loaded before this script asked too early; tell them their path now
+  document.querySelectorAll('iframe, frame').forEach(frame => {
+    if (frame.contentWindow) sendFramePath(frame.contentWindow);
+  });
+  
+  /**
+   * Create interactive indicator element with toggle functionality
+   */
+  function createIndicator() {
+    if (window.bcState.indicator) {
+      window.bcState.indicator.remove();
+    }
+    
     const indicator = document.createElement('div');
     indicator.setAttribute('data-bc-ignore', 'true');
     indicator.style.cssText = `
@@ -445,6 +2371,7 @@
         pauseBtn.addEventListener('click', (e) => {
           e.stopPropagation();
           window.bcState.recording = false;
+          syncRecordingState();
           // Persist paused state so background does not try to auto-restore
           try {
             chrome.runtime.sendMessage({
@@ -481,6 +2408,7 @@
         startBtn.addEventListener('click', (e) => {
           e.stopPropagation();
           window.bcState.recording = true;
+          syncRecordingState();
           // Persist resumed state
           try {
             chrome.runtime.sendMessage({
@@ -545,6 +2473,7 @@
         }
       }
       
+      syncRecordingState();
       showToast('Recording resumed');
     } else {
       // Pause recording - generate intermediate report
@@ -580,6 +2509,7 @@
         }
       }
       
+      syncRecordingState();
       showToast('Recording paused');
     }
   }
@@ -634,6 +2564,7 @@
    */
   function stopRecording() {
     window.bcState.recording = false;
+    syncRecordingState();
     if (window.bcState.indicator) {
       window.bcState.indicator.remove();
       window.bcState.indicator = null;
@@ -650,6 +2581,18 @@
   
   // Listen for messages from extension popup and other sources
   chrome.runtime.onMessage.addListener(function(message, sender, sendResponse) {
+    // Sent to this frame only, by the background on behalf of the parent frame
+    if (message.cmd === 'set-frame-path') {
+      if (!IS_TOP_FRAME && Array.isArray(message.path)) {
+        setFramePath(message.path.map(String));
+      }
+      sendResponse({ ok: true });
+      return;
+    }
+    
+    // Tab messages reach every frame; only the top frame answers them
+    if (!IS_TOP_FRAME) return;
+    
     if (message.__bugCapturerStop) {
       shutdownExtension();
       sendResponse({ok: true});
@@ -688,6 +2631,8 @@
           sessionId: window.bcState.sessionId,
           startTime: window.bcState.startTime
         }).catch(err => console.warn('Failed to persist activation state:', err));
+        syncRecordingState();
+        recordStorageSnapshot('start');
       } catch (e) {
         console.warn('Failed to set activation state:', e);
       }
@@ -758,6 +2703,7 @@
         window.bcState.recording = true;
         window.bcState.sessionId = message.sessionId;
         window.bcState.startTime = message.startTime;
+        syncRecordingState();
         
         // Recreate indicator if it doesn't exist or show existing one
         if (!window.bcState.indicator) {
@@ -771,6 +2717,10 @@
         }
       }
       sendResponse({ ok: true, message: 'State restored' });
+    } else if (message.cmd === 'capture-storage-snapshot') {
+      // A screenshot was just taken; capture the storage state that goes with it
+      recordStorageSnapshot(message.reason || 'screenshot');
+      sendResponse({ ok: true });
     } else if (message.type === 'start-custom-area-selection') {
       // Start custom area selection from popup
       startCustomAreaSelection();
@@ -778,6 +2728,7 @@
     } else if (message.cmd === 'stop-recording-immediate') {
       // Immediately stop recording and hide indicator (for download reports)
       window.bcState.recording = false;
+      syncRecordingState();
       if (window.bcState.indicator) {
         window.bcState.indicator.style.display = 'none';
         console.log('Recording indicator hidden immediately');
@@ -788,6 +2739,8 @@
   
   // Listen for stop recording messages from window
   window.addEventListener('message', function(e) {
+    if (!IS_TOP_FRAME) return;
+    
     if (e.data && e.data.__bugCapturerStop) {
       shutdownExtension();
     } else if (e.data && e.data.__bugCapturerToggle) {
@@ -823,8 +2776,8 @@
       }
       
       // Only hash changes are not considered significant navigation
-      // (common in SPAs for in-page navigation)
-      return false;
+      // (common in SPAs for in-page navigation), unless the site uses a hash router
+      return oldUrlObj.hash !== newUrlObj.hash && isHashNavigationSite();
       
     } catch (error) {
       // If URL parsing fails, consider it significant to be safe
@@ -833,14 +2786,24 @@
     }
   }
 
+  function isHashNavigationSite() {
+    return (window.bcState.settings.hashNavigationOrigins || []).includes(location.origin);
+  }
+  
   // Track URL changes for updating stored URL references
-  function updateCurrentUrl() {
-    const newUrl = window.location.href;
-    if (newUrl !== lastNavigationUrl) {
-      console.log('URL changed from', lastNavigationUrl, 'to', newUrl);
+  // (route is { trigger, from, to } when the page bridge saw a History API call or event)
+  function updateCurrentUrl(route = null) {
+    // The tab URL belongs to the top frame
+    if (!IS_TOP_FRAME) return;
+    
+    // A bridge report carries the URLs around the History API call itself
+    const previousUrl = route ? route.from : lastNavigationUrl;
+    const newUrl = route ? route.to : window.location.href;
+    if (newUrl !== previousUrl) {
+      console.log('URL changed from', previousUrl, 'to', newUrl);
       
       // Check if this is a significant navigation (different domain/path, not just hash/query changes)
-      const isSignificantNavigation = isSignificantUrlChange(lastNavigationUrl, newUrl);
+      const isSignificantNavigation = isSignificantUrlChange(previousUrl, newUrl);
       
       // Update the cached URL in state
       window.bcState.actualUrl = newUrl;
@@ -856,16 +2819,87 @@
         console.warn('Error updating current URL:', error);
       }
       
+      if (isSignificantNavigation) {
+        handleWebVitalsRouteChange();
+      }
+      
       // Only record navigation step for significant changes and if recording
       if (window.bcState.recording && isSignificantNavigation) {
-        recordStep('navigation', null, `Navigated to ${newUrl}`).catch(console.error);
+        if (route) {
+          recordRouteChange(route.trigger, previousUrl, newUrl);
+        } else {
+          recordStep('navigation', null, `Navigated to ${newUrl}`).catch(console.error);
+        }
+      }
+    }
+  }
+  
+  /**
+   * SPA route transitions reported by the page bridge (pushState, replaceState,
+   * popstate, hashchange). Bursts of replaceState calls - filters or search boxes
+   * syncing the query string - are merged into one step.
+   */
+  const ROUTE_REPLACE_MERGE_MS = 1000;
+  let pendingRouteReplace = null; // { from, to, time, timer }
+  
+  function getRoutePath(url) {
+    try {
+      const parsed = new URL(redactUrl(url));
+      return parsed.pathname + parsed.search + parsed.hash;
+    } catch (e) {
+      return url;
+    }
+  }
+  
+  function recordRouteStep(trigger, fromUrl, toUrl, time = Date.now()) {
+    const from = getRoutePath(fromUrl);
+    const to = getRoutePath(toUrl);
+    recordStep({
+      type: 'step',
+      time: time,
+      text: `Navigated to ${redactUrl(toUrl)}`,
+      meta: {
+        action: 'navigation',
+        timestamp: time - window.bcState.startTime,
+        route: {
+          trigger: trigger,
+          from: from,
+          to: to
+        },
+        details: `Route changed from ${from} to ${to} (${trigger})`
       }
+    }).catch(console.error);
+  }
+  
+  function flushRouteReplace() {
+    const pending = pendingRouteReplace;
+    pendingRouteReplace = null;
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    // Stamped with the first call of the burst
+    if (window.bcState.recording && pending.from !== pending.to) {
+      recordRouteStep('replaceState', pending.from, pending.to, pending.time);
+    }
+  }
+  
+  function recordRouteChange(trigger, fromUrl, toUrl) {
+    if (trigger !== 'replaceState') {
+      flushRouteReplace();
+      recordRouteStep(trigger, fromUrl, toUrl);
+      return;
+    }
+    if (pendingRouteReplace) {
+      clearTimeout(pendingRouteReplace.timer);
+      pendingRouteReplace.to = toUrl;
+    } else {
+      pendingRouteReplace = { from: fromUrl, to: toUrl, time: Date.now() };
     }
+    pendingRouteReplace.timer = setTimeout(flushRouteReplace, ROUTE_REPLACE_MERGE_MS);
   }
 
   // Track navigation events without capturing screenshots automatically
   window.addEventListener('beforeunload', function(e) {
-    if (window.bcState.recording) {
+    if (window.bcState.recording && IS_TOP_FRAME) {
       console.log('Navigation detected, recording navigation step...');
       // Only record navigation step, no automatic screenshot
       const currentUrl = window.location.href;
@@ -908,13 +2942,17 @@
   
   // Keyboard shortcuts
   document.addEventListener('keydown', function(e) {
-    // Ctrl+Shift+B to toggle recording
+    // Ctrl+Shift+B to toggle recording (forwarded to the top frame from iframes)
     if (e.ctrlKey && e.shiftKey && e.key === 'B') {
       e.preventDefault();
-      toggleRecording();
+      if (IS_TOP_FRAME) {
+        toggleRecording();
+      } else {
+        window.top.postMessage({ __bugCapturerToggle: true }, '*');
+      }
     }
     // Ctrl+Shift+S to toggle selector mode
-    else if (e.ctrlKey && e.shiftKey && e.key === 'S') {
+    else if (e.ctrlKey && e.shiftKey && e.key === 'S' && IS_TOP_FRAME) {
       e.preventDefault();
       toggleSelectorMode();
     }
@@ -1071,7 +3109,9 @@
           clickActions: window.bcState.steps.filter(s => s.meta?.action === 'click').length,
           inputActions: window.bcState.steps.filter(s => s.meta?.action === 'input').length,
           errors: window.bcState.steps.filter(s => s.type === 'error-detected' || s.meta?.level === 'error').length,
-          performanceIssues: window.bcState.steps.filter(s => s.type === 'performance').length
+          performanceIssues: window.bcState.steps.filter(s => s.type === 'performance').length,
+          networkRequests: window.bcState.steps.filter(s => s.type === 'network').length,
+          failedRequests: window.bcState.steps.filter(s => s.type === 'network' && (s.meta?.error || s.meta?.response?.status >= 400)).length
         },
         generatedAt: new Date().toISOString()
       };
@@ -1085,8 +3125,10 @@
     window.bcState.sessionId = Date.now().toString() + Math.random().toString(36).substr(2, 9);
   }
   
-  // Check if we need to restore state on page load
+  // Check if we need to restore state on page load (subframes follow storage instead)
   setTimeout(() => {
+    if (!IS_TOP_FRAME) return;
+    
     try {
       chrome.runtime.sendMessage({ cmd: 'get-persistent-state' })
         .then(response => {
@@ -1096,6 +3138,7 @@
           window.bcState.recording = true;
           window.bcState.sessionId = persistentState.sessionId;
           window.bcState.startTime = persistentState.startTime;
+          syncRecordingState();
           
           // Load existing steps from storage to continue session
           try {
@@ -1157,61 +3200,6 @@
   let selectionInfo = null;
   let selectionControls = null;
   
-  /**
-   * Console capture functionality
-   */
-  function setupConsoleCapture() {
-    const originalConsole = {
-      log: console.log,
-      error: console.error,
-      warn: console.warn,
-      info: console.info
-    };
-    
-    // Override console methods to capture output
-    console.log = function(...args) {
-      originalConsole.log.apply(console, args);
-      if (window.bcState.recording) {
-        recordConsoleStep('log', args.join(' '));
-      }
-    };
-    
-    console.error = function(...args) {
-      originalConsole.error.apply(console, args);
-      if (window.bcState.recording) {
-        recordConsoleStep('error', args.join(' '));
-      }
-    };
-    
-    console.warn = function(...args) {
-      originalConsole.warn.apply(console, args);
-      if (window.bcState.recording) {
-        recordConsoleStep('warn', args.join(' '));
-      }
-    };
-    
-    console.info = function(...args) {
-      originalConsole.info.apply(console, args);
-      if (window.bcState.recording) {
-        recordConsoleStep('info', args.join(' '));
-      }
-    };
-    
-    // Capture unhandled errors
-    window.addEventListener('error', function(e) {
-      if (window.bcState.recording) {
-        recordConsoleStep('error', `${e.message} at ${e.filename}:${e.lineno}:${e.colno}`);
-      }
-    });
-    
-    // Capture unhandled promise rejections
-  window.addEventListener('unhandledrejection', function(e) {
-    if (window.bcState.recording) {
-      recordConsoleStep('error', `Unhandled Promise Rejection: ${e.reason}`);
-    }
-  });
-}
-
 /**
  * Screenshot capture functionality
  */
@@ -1263,204 +3251,1126 @@ function captureScreenshot(description = '') {
         note: 'Screenshot info only - html2canvas library required for image capture'
       });
     }
-  });
-}
+  });
+}
+
+
+
+
+
+
+
+
+
+
+/**
+ * UI error rules for this page's origin: selectors joined into one list (invalid ones
+ * dropped) and text patterns compiled. Site rules replace the defaults entirely.
+ */
+function resolveErrorRules(ruleSets) {
+  const rules = (ruleSets && (ruleSets[location.origin] || ruleSets['*'])) || DEFAULT_ERROR_RULES;
+  const validSelectors = list => (list || []).filter(selector => {
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (e) {
+      console.warn('Bug Capturer: Ignoring invalid error rule selector:', selector);
+      return false;
+    }
+  });
+  const include = validSelectors(rules.include);
+  const exclude = validSelectors(rules.exclude);
+  
+  return {
+    includeList: include,
+    include: include.join(', '),
+    exclude: exclude.join(', '),
+    textPatterns: (rules.textPatterns || []).map(parseTextPattern).filter(Boolean),
+    minVisibleMs: Math.max(0, Number(rules.minVisibleMs) || 0)
+  };
+}
+
+// "/pattern/flags" or a plain pattern (case-insensitive)
+function parseTextPattern(pattern) {
+  try {
+    const match = String(pattern).match(/^\/(.+)\/([a-z]*)$/);
+    return match ? new RegExp(match[1], match[2].replace(/[gy]/g, '')) : new RegExp(pattern, 'i');
+  } catch (e) {
+    console.warn('Bug Capturer: Ignoring invalid error rule pattern:', pattern);
+    return null;
+  }
+}
+
+/**
+ * Auto-detect and capture error messages. Candidates come from added nodes, text
+ * changes and attribute changes; each is reported once it is still visible after the
+ * rule's minimum visible time. A message still showing, or the same text seen within
+ * ERROR_DEDUPE_MS, is not reported again.
+ */
+const ERROR_DEDUPE_MS = 10000;
+// Style changes on elements with more descendants than this only check the element itself
+const ERROR_STYLE_SCAN_LIMIT = 500;
+const reportedErrorText = new WeakMap(); // element -> text last reported for it
+const recentErrors = new Map(); // "selector|text" -> time last reported
+const pendingErrorChecks = new Map(); // element -> timer
+
+function getErrorText(element) {
+  return (element.innerText || element.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+function isErrorVisible(element) {
+  if (element.checkVisibility) {
+    return element.checkVisibility({ opacityProperty: true, visibilityProperty: true });
+  }
+  return !element.closest('[hidden], [aria-hidden="true"]');
+}
+
+function isReportableError(element) {
+  if (!errorRules.include || !element.isConnected || element.closest('[data-bc-ignore]')) return false;
+  if (!element.matches(errorRules.include)) return false;
+  if (errorRules.exclude && element.closest(errorRules.exclude)) return false;
+  
+  const text = getErrorText(element);
+  if (text.length <= 3) return false;
+  if (errorRules.textPatterns.length > 0 && !errorRules.textPatterns.some(pattern => pattern.test(text))) return false;
+  return isErrorVisible(element);
+}
+
+// The matching element at or above a changed node, plus matches inside added subtrees
+function collectErrorCandidates(node, includeDescendants, candidates) {
+  const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  if (!element || !errorRules.include) return;
+  
+  const container = element.closest(errorRules.include);
+  if (container) candidates.add(container);
+  if (includeDescendants) {
+    element.querySelectorAll(errorRules.include).forEach(match => candidates.add(match));
+  }
+}
+
+function reportUiError(element) {
+  if (!window.bcState.recording || !isReportableError(element)) return;
+  
+  const text = getErrorText(element);
+  if (reportedErrorText.get(element) === text) return;
+  reportedErrorText.set(element, text);
+  
+  // An enclosing message already reported with this text (nested matching elements)
+  for (let ancestor = element.parentElement; ancestor; ancestor = ancestor.parentElement) {
+    if ((reportedErrorText.get(ancestor) || '').includes(text)) return;
+  }
+  
+  // Keyed by where the message is too, so the same text on two fields is reported twice;
+  // the selector (not the element) survives frameworks re-rendering the message
+  const now = Date.now();
+  const key = `${getCssSelector(element)}|${text}`;
+  if (now - (recentErrors.get(key) || 0) < ERROR_DEDUPE_MS) return;
+  recentErrors.set(key, now);
+  if (recentErrors.size > 100) {
+    recentErrors.delete(recentErrors.keys().next().value);
+  }
+  
+  // Record error without automatic screenshot
+  recordStep({
+    type: 'error-detected',
+    text: text.slice(0, 200),
+    time: now,
+    meta: {
+      action: 'error-detected',
+      timestamp: now - window.bcState.startTime,
+      errorType: 'ui-error',
+      element: element.tagName.toLowerCase(),
+      rule: errorRules.includeList.find(selector => element.matches(selector)) || '',
+      minVisibleMs: errorRules.minVisibleMs
+    }
+  }, element).catch(console.error);
+}
+
+function scheduleErrorCheck(element) {
+  if (!isReportableError(element)) {
+    // Hidden or changed - the same message showing again later is a new detection
+    reportedErrorText.delete(element);
+    return;
+  }
+  // Already waiting out the minimum visible time
+  if (pendingErrorChecks.has(element)) return;
+  
+  pendingErrorChecks.set(element, setTimeout(() => {
+    pendingErrorChecks.delete(element);
+    reportUiError(element);
+  }, errorRules.minVisibleMs));
+}
+
+function setupErrorDetection() {
+  const observer = new MutationObserver((mutations) => {
+    const candidates = new Set();
+    
+    mutations.forEach((mutation) => {
+      if (mutation.type === 'attributes' && mutation.attributeName === 'aria-invalid') {
+        if (window.bcState.recording) handleAriaInvalidChange(mutation.target, mutation.oldValue);
+        return;
+      }
+      if (!window.bcState.recording) return;
+      
+      if (mutation.type === 'childList') {
+        mutation.addedNodes.forEach((node) => {
+          if (node.nodeType !== Node.ELEMENT_NODE) return;
+          // Newly rendered components may bring their own shadow roots
+          discoverShadowRoots(node);
+          collectErrorCandidates(node, true, candidates);
+        });
+        // Replaced text inside an existing message
+        collectErrorCandidates(mutation.target, false, candidates);
+      } else if (mutation.type === 'characterData') {
+        collectErrorCandidates(mutation.target, false, candidates);
+      } else {
+        // class/style/hidden changes can reveal messages anywhere below the element;
+        // style changes on big containers (animations, layout libraries) are too frequent to scan
+        const scanDescendants = mutation.attributeName !== 'style' ||
+          mutation.target.getElementsByTagName('*').length <= ERROR_STYLE_SCAN_LIMIT;
+        collectErrorCandidates(mutation.target, scanDescendants, candidates);
+      }
+    });
+    
+    // Document order, so enclosing messages are reported before nested ones
+    Array.from(candidates)
+      .sort((a, b) => a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1)
+      .forEach(scheduleErrorCheck);
+  });
+  
+  // Store observer reference for cleanup
+  window.bcState.errorObserver = observer;
+  syncErrorObserver();
+}
+
+/**
+ * The error observer only watches the page while recording; syncRecordingState
+ * disconnects it on pause/stop and reconnects it on start
+ */
+function syncErrorObserver() {
+  const observer = window.bcState.errorObserver;
+  if (!observer) return;
+  
+  observer.disconnect();
+  if (!window.bcState.recording || !document.body) return;
+  
+  observer.observe(document.body, ERROR_OBSERVER_OPTIONS);
+  // Errors rendered inside open shadow trees
+  knownShadowRoots.forEach(root => {
+    observer.observe(root, ERROR_OBSERVER_OPTIONS);
+  });
+}
+
+/**
+ * Test scenario documentation
+ */
+function recordTestScenario(scenario) {
+  if (!window.bcState.recording) return;
+  
+  // Record test scenario without automatic screenshot
+  recordStep({
+    type: 'test-scenario',
+    scenario: scenario,
+    time: Date.now(),
+    meta: {
+      action: 'test-scenario',
+      timestamp: Date.now() - window.bcState.startTime,
+      scenarioType: scenario.type || 'manual'
+    }
+  }).catch(console.error);
+}
+
+/**
+ * Enhanced step recording with screenshot support
+ */
+function recordStepWithScreenshot(stepData, takeScreenshot = false) {
+  if (takeScreenshot) {
+    captureScreenshot(stepData.description || `${stepData.type} action`).then(screenshot => {
+      recordStep({
+        ...stepData,
+        screenshot: screenshot
+      }).catch(console.error);
+    });
+  } else {
+    recordStep(stepData).catch(console.error);
+  }
+}
+  
+  /**
+   * Record console output as a step
+   */
+  function recordConsoleStep(level, message, extra = {}) {
+    const step = {
+      type: 'console',
+      time: Date.now(),
+      url: location.href,
+      text: message.slice(0, 500), // Limit message length
+      selector: 'console',
+      sessionId: window.bcState.sessionId, // Add session ID for continuity
+      meta: {
+        action: 'console',
+        level: level,
+        timestamp: Date.now() - window.bcState.startTime,
+        ...extra
+      }
+    };
+    
+    // Store locally, in time order (held clicks are stored after later steps)
+    const steps = window.bcState.steps;
+    let index = steps.length;
+    while (index > 0 && steps[index - 1].time > step.time) index--;
+    steps.splice(index, 0, step);
+    
+    // Send to background script
+    try {
+      chrome.runtime.sendMessage({
+        cmd: 'store-step',
+        step: step
+      }).catch(err => {
+        if (err.message && err.message.includes('Extension context invalidated')) {
+          console.warn('Bug Capturer: Extension context invalidated, stopping recording');
+          window.bcState.recording = false;
+          if (window.bcState.indicator) {
+            window.bcState.indicator.style.display = 'none';
+          }
+        } else {
+          console.warn('Failed to send console step to background:', err);
+        }
+      });
+    } catch (error) {
+      if (error.message && error.message.includes('Extension context invalidated')) {
+        console.warn('Bug Capturer: Extension context invalidated, stopping recording');
+        window.bcState.recording = false;
+        if (window.bcState.indicator) {
+          window.bcState.indicator.style.display = 'none';
+        }
+      } else {
+        console.error('Bug Capturer: Error recording console step:', error);
+      }
+    }
+  }
+  
+  /**
+   * Page bridge: page-bridge.js runs in the page's main world so it can see
+   * the page's own fetch/XHR calls and console output. It reports back over a
+   * per-page event channel.
+   */
+  const BRIDGE_CHANNEL = 'bc-bridge-' + Math.random().toString(36).slice(2) + Date.now().toString(36);
+
+  function injectPageBridge() {
+    try {
+      const script = document.createElement('script');
+      script.src = chrome.runtime.getURL('page-bridge.js');
+      script.dataset.bcChannel = BRIDGE_CHANNEL;
+      script.onload = function() {
+        script.remove();
+        sendBridgeConfig();
+      };
+      script.onerror = function() {
+        script.remove();
+        console.warn('Bug Capturer: Page bridge could not be loaded');
+      };
+      (document.head || document.documentElement).appendChild(script);
+    } catch (error) {
+      console.warn('Bug Capturer: Failed to inject page bridge:', error);
+    }
+  }
+
+  /**
+   * Push the recording state and the settings the page bridge needs into the main world
+   */
+  function sendBridgeConfig() {
+    document.dispatchEvent(new CustomEvent(BRIDGE_CHANNEL + ':config', {
+      detail: JSON.stringify({
+        recording: !!window.bcState.recording,
+        captureBodies: !!window.bcState.settings.captureNetworkBodies
+      })
+    }));
+  }
+
+  document.addEventListener(BRIDGE_CHANNEL, function(e) {
+    let message;
+    try {
+      message = JSON.parse(e.detail);
+    } catch (error) {
+      return;
+    }
+    if (!message || !message.payload) return;
+
+    // Route changes keep the tracked URL current even when not recording
+    if (message.kind === 'route') {
+      updateCurrentUrl(message.payload);
+      return;
+    }
+    if (!window.bcState.recording) return;
+
+    switch (message.kind) {
+      case 'network':
+        recordNetworkStep(message.payload);
+        break;
+      case 'console':
+        recordPageConsoleEntry(message.payload);
+        break;
+      case 'dialog':
+        recordDialogStep(message.payload);
+        break;
+    }
+  });
+
+  /**
+   * Text for one serialised console argument (see serializeValue in page-bridge.js)
+   */
+  function stringifyConsoleArg(arg) {
+    if (typeof arg === 'string') return arg;
+    if (arg && arg.__type === 'undefined') return 'undefined';
+    if (arg && arg.__type === 'Error') return `${arg.name}: ${arg.message}`;
+    if (arg && Array.isArray(arg.entries)) return `${arg.__type}(${arg.size}) ${JSON.stringify(arg.entries)}`;
+    try {
+      return JSON.stringify(arg);
+    } catch (e) {
+      return String(arg);
+    }
+  }
+
+  /**
+   * Console-style message text, applying %s/%d/%i/%f/%o/%O/%c substitutions
+   */
+  function formatConsoleArgs(args) {
+    const rest = args.slice();
+    let first = rest.shift();
+    if (typeof first === 'string' && /%[sdifoOc]/.test(first)) {
+      first = first.replace(/%([sdifoOc%])/g, (match, spec) => {
+        if (spec === '%') return '%';
+        if (!rest.length) return match;
+        const arg = rest.shift();
+        if (spec === 'c') return '';
+        if (spec === 'd' || spec === 'i') return String(parseInt(arg, 10));
+        if (spec === 'f') return String(parseFloat(arg));
+        return stringifyConsoleArg(arg);
+      });
+    }
+    return (args.length ? [first, ...rest] : []).map(stringifyConsoleArg).join(' ');
+  }
+
+  /**
+   * Record a console entry forwarded by the page bridge; arguments are redacted by key
+   */
+  function recordPageConsoleEntry(data) {
+    const args = redactObject(Array.isArray(data.args) ? data.args : []);
+    let message = formatConsoleArgs(args);
+    if (data.method === 'uncaught' && data.source) {
+      message += ` at ${data.source}`;
+    }
+
+    recordConsoleStep(data.level || 'log', message, {
+      method: data.method,
+      // Structured arguments are kept only when small; the text always is
+      args: JSON.stringify(args).length <= MAX_BODY_LENGTH ? args : null,
+      stack: data.stack || null,
+      source: data.source || null
+    });
+  }
+
+  /**
+   * Record an alert/confirm/prompt/beforeunload dialog reported by the page bridge.
+   * Prompt answers are always redacted; only their length is kept.
+   */
+  const DIALOG_CHOICES = { ok: 'OK', cancel: 'Cancel', stay: 'Stay on page', leave: 'Leave page' };
+
+  function recordDialogStep(data) {
+    const message = normalizeText(data.message, 200);
+    const choice = DIALOG_CHOICES[data.choice] || data.choice;
+    let answer = choice;
+    if (data.type === 'prompt' && data.choice === 'ok') {
+      answer = `OK with [REDACTED] (${data.valueLength} characters)`;
+    }
+
+    const step = {
+      type: 'dialog',
+      time: data.openedAt || Date.now(),
+      text: message || `${data.type} dialog`,
+      selector: 'window',
+      meta: {
+        action: 'dialog',
+        dialogType: data.type,
+        message: message,
+        choice: data.choice,
+        value: data.type === 'prompt' && data.choice === 'ok' ? '[REDACTED]' : null,
+        valueLength: data.valueLength ?? null,
+        duration: data.duration,
+        timestamp: (data.openedAt || Date.now()) - window.bcState.startTime,
+        details: `${data.type} dialog${message ? ` "${message}"` : ''}: ${answer}`
+      }
+    };
+
+    // Reported from pagehide: the page is going away, so send it now instead of
+    // waiting on recordStep's URL and frame path lookups
+    if (data.choice === 'leave') {
+      step.url = window.bcState.actualUrl || location.href;
+      step.sessionId = window.bcState.sessionId;
+      if (!IS_TOP_FRAME) {
+        step.meta.frame = { url: redactUrl(location.href), path: framePath || getAccessibleFramePath() };
+      }
+      storeStep(step);
+      return;
+    }
+
+    recordStep(step).catch(console.error);
+  }
+
+  /**
+   * Load capture settings and keep them in sync with the popup
+   */
+  function loadSettings() {
+    chrome.storage.local.get([SETTINGS_KEY, ERROR_RULES_KEY]).then(result => {
+      window.bcState.settings = { ...DEFAULT_SETTINGS, ...(result[SETTINGS_KEY] || {}) };
+      errorRules = resolveErrorRules(result[ERROR_RULES_KEY]);
+      syncRecordingState();
+    }).catch(err => console.warn('Bug Capturer: Failed to load settings:', err));
+  }
+
+  chrome.storage.onChanged.addListener(function(changes, areaName) {
+    if (areaName !== 'local') return;
+    if (changes[SETTINGS_KEY]) {
+      window.bcState.settings = { ...DEFAULT_SETTINGS, ...(changes[SETTINGS_KEY].newValue || {}) };
+      syncRecordingState();
+    }
+    if (changes[ERROR_RULES_KEY]) {
+      errorRules = resolveErrorRules(changes[ERROR_RULES_KEY].newValue);
+    }
+  });
+
+  /**
+   * Network redaction helpers
+   */
+  const SENSITIVE_HEADERS = /^(authorization|proxy-authorization|cookie|set-cookie)$/i;
+
+  function redactUrl(url) {
+    try {
+      const parsed = new URL(url, location.href);
+      parsed.username = '';
+      parsed.password = '';
+      for (const name of Array.from(parsed.searchParams.keys())) {
+        if (SENSITIVE_PATTERNS.test(name)) {
+          parsed.searchParams.set(name, '[REDACTED]');
+        }
+      }
+      return parsed.href;
+    } catch (e) {
+      return url;
+    }
+  }
+
+  function redactCookieString(value) {
+    return String(value).split(';').map(pair => {
+      const index = pair.indexOf('=');
+      return index > 0 ? `${pair.slice(0, index).trim()}=[REDACTED]` : pair.trim();
+    }).join('; ');
+  }
+
+  function redactHeaders(headers) {
+    const result = {};
+    Object.keys(headers || {}).forEach(name => {
+      const value = headers[name];
+      if (/^(cookie|set-cookie)$/i.test(name)) {
+        result[name] = redactCookieString(value);
+      } else if (SENSITIVE_HEADERS.test(name) || SENSITIVE_PATTERNS.test(name)) {
+        result[name] = '[REDACTED]';
+      } else {
+        result[name] = value;
+      }
+    });
+    return result;
+  }
+
+  function redactObject(value, depth = 0) {
+    if (depth > 10 || value === null || typeof value !== 'object') return value;
+    if (Array.isArray(value)) return value.map(item => redactObject(item, depth + 1));
+
+    const result = {};
+    Object.keys(value).forEach(key => {
+      result[key] = SENSITIVE_PATTERNS.test(key) ? '[REDACTED]' : redactObject(value[key], depth + 1);
+    });
+    return result;
+  }
+
+  /**
+   * Redact JSON and form-encoded bodies by key, then trim
+   */
+  function redactBody(body) {
+    if (body === null || body === undefined) return null;
+    let text = String(body);
+
+    try {
+      text = JSON.stringify(redactObject(JSON.parse(text)));
+    } catch (e) {
+      if (/^[^\s=&]+=[^\s]*$/.test(text)) {
+        const params = new URLSearchParams(text);
+        for (const name of Array.from(params.keys())) {
+          if (SENSITIVE_PATTERNS.test(name)) params.set(name, '[REDACTED]');
+        }
+        text = params.toString();
+      }
+    }
+
+    return text.length > MAX_BODY_LENGTH ? text.slice(0, MAX_BODY_LENGTH) + '...' : text;
+  }
+
+  /**
+   * Short label for a request URL, e.g. "/api/cart?id=1"
+   */
+  function getShortUrl(url) {
+    try {
+      const parsed = new URL(url);
+      const path = parsed.pathname + parsed.search;
+      const label = parsed.origin === location.origin ? path : parsed.host + path;
+      return label.length > 120 ? label.slice(0, 117) + '...' : label;
+    } catch (e) {
+      return String(url).slice(0, 120);
+    }
+  }
+
+  /**
+   * Record a fetch/XHR request reported by the page bridge
+   */
+  function recordNetworkStep(data) {
+    const request = data.request || {};
+    const response = data.response || {};
+    const url = redactUrl(request.url || '');
+    const status = data.error && !response.status ? 'failed' : response.status;
+
+    const step = {
+      type: 'network',
+      time: Date.now(),
+      text: `${request.method || 'GET'} ${getShortUrl(url)} → ${status} (${data.duration}ms)`,
+      selector: 'network',
+      meta: {
+        action: 'network',
+        timestamp: Date.now() - window.bcState.startTime,
+        transport: data.transport,
+        startedDateTime: data.startedDateTime,
+        duration: data.duration,
+        timings: data.timings || null,
+        error: data.error || null,
+        request: {
+          method: request.method || 'GET',
+          url: url,
+          headers: redactHeaders(request.headers),
+          bodySize: request.bodySize || 0,
+          body: redactBody(request.body)
+        },
+        response: {
+          status: response.status || 0,
+          statusText: response.statusText || '',
+          mimeType: response.mimeType || '',
+          headers: redactHeaders(response.headers),
+          bodySize: response.bodySize === undefined ? -1 : response.bodySize,
+          body: redactBody(response.body)
+        }
+      }
+    };
+
+    recordStep(step).catch(console.error);
+  }
+
+  /**
+   * Storage snapshots - localStorage, sessionStorage and cookies are captured when
+   * recording starts and with every screenshot so reports can diff them.
+   * Values of keys matching SENSITIVE_PATTERNS are redacted. Cookie values and
+   * token-like storage values are never kept, only their length and a hash.
+   */
+  const MAX_SNAPSHOT_KEYS = 200;
+  const MAX_SNAPSHOT_VALUE_LENGTH = 200;
+  const JWT_PATTERN = /^eyJ[\w-]+\.[\w-]+\.[\w-]*$/;
+  const LONG_BASE64_PATTERN = /^[A-Za-z0-9+\/_-]{32,}={0,2}$/;
+
+  function hashStorageValue(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+  }
+
+  /**
+   * Length and hash of a value, enough to tell in a diff that it changed
+   */
+  function fingerprintStorageValue(text) {
+    return `[${text.length} chars, #${hashStorageValue(text)}]`;
+  }
+
+  /**
+   * Short, comparable form of a stored value; long values keep a hash so changes
+   * past the cut-off still show up in diffs
+   */
+  function summarizeStorageValue(key, value) {
+    if (SENSITIVE_PATTERNS.test(key)) return '[REDACTED]';
+    const text = String(value);
+    if (JWT_PATTERN.test(text) || LONG_BASE64_PATTERN.test(text)) return fingerprintStorageValue(text);
+    if (text.length <= MAX_SNAPSHOT_VALUE_LENGTH) return text;
+
+    return `${text.slice(0, MAX_SNAPSHOT_VALUE_LENGTH)}... [${text.length} chars, #${hashStorageValue(text)}]`;
+  }
+
+  function snapshotWebStorage(getStorage) {
+    const result = {};
+    try {
+      const storage = getStorage();
+      for (let i = 0; i < storage.length && i < MAX_SNAPSHOT_KEYS; i++) {
+        const key = storage.key(i);
+        result[key] = summarizeStorageValue(key, storage.getItem(key));
+      }
+    } catch (error) {
+      // Storage access can be blocked (sandboxed frames, privacy settings)
+      return null;
+    }
+    return result;
+  }
+
+  function snapshotCookies() {
+    const result = {};
+    (document.cookie || '').split(';').slice(0, MAX_SNAPSHOT_KEYS).forEach(pair => {
+      const index = pair.indexOf('=');
+      const name = (index === -1 ? pair : pair.slice(0, index)).trim();
+      if (name) result[name] = fingerprintStorageValue(index === -1 ? '' : pair.slice(index + 1).trim());
+    });
+    return result;
+  }
+
+  /**
+   * Record a storage snapshot step. reason is 'start' or 'screenshot'.
+   */
+  function recordStorageSnapshot(reason) {
+    if (!window.bcState.recording) return;
+
+    const localItems = snapshotWebStorage(() => window.localStorage);
+    const sessionItems = snapshotWebStorage(() => window.sessionStorage);
+    const cookies = snapshotCookies();
+    const count = [localItems, sessionItems, cookies].reduce((total, items) => total + Object.keys(items || {}).length, 0);
+
+    recordStep({
+      type: 'storage',
+      time: Date.now(),
+      text: `Storage snapshot (${reason === 'start' ? 'recording started' : 'screenshot taken'}, ${count} keys)`,
+      selector: 'storage',
+      meta: {
+        action: 'storage-snapshot',
+        timestamp: Date.now() - window.bcState.startTime,
+        reason: reason,
+        origin: location.origin,
+        localStorage: localItems,
+        sessionStorage: sessionItems,
+        cookies: cookies
+      }
+    }).catch(console.error);
+  }
+
+  /**
+   * Session replay recorder (optional, see recordReplay setting)
+   * Serialises the DOM once, then records mutations, scrolls, mouse moves and
+   * input values so replay.html can rebuild the page. Input values are masked
+   * with the same rules as getSafeText.
+   */
+  const REPLAY_FLUSH_INTERVAL = 2000;
+  const REPLAY_MAX_BATCH = 200;
+  const REPLAY_MOUSE_THROTTLE = 50;
+  const REPLAY_SCROLL_THROTTLE = 100;
+  const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+  const replayRecorder = {
+    active: false,
+    nodeIds: new WeakMap(),
+    nextNodeId: 1,
+    buffer: [],
+    observer: null,
+    flushTimer: null,
+    lastMouseMove: 0,
+    lastScroll: new WeakMap()
+  };
+
+  function getReplayNodeId(node) {
+    if (!replayRecorder.nodeIds.has(node)) {
+      replayRecorder.nodeIds.set(node, replayRecorder.nextNodeId++);
+    }
+    return replayRecorder.nodeIds.get(node);
+  }
+
+  /**
+   * Mask an input value for replay the way getSafeText would. Free text in
+   * textareas is always masked.
+   */
+  function maskReplayValue(element, value) {
+    if (value === null || value === undefined || value === '') return value;
+    const name = element.name || element.id || element.placeholder || element.type || '';
+    if (element.type === 'password' || SENSITIVE_PATTERNS.test(name)) {
+      return '[REDACTED]';
+    }
+    const text = String(value);
+    const trimmed = text.length > MAX_INPUT_LENGTH ? text.slice(0, 97) + '...' : text;
+    return element.tagName === 'TEXTAREA' ? maskReplayText(trimmed) : trimmed;
+  }
 
+  // Typed text is replayed as placeholder characters so the layout survives
+  function maskReplayText(text) {
+    return text ? String(text).replace(/\S/g, '*') : text;
+  }
 
+  // Text inside a textarea, contenteditable region or rich-text editor is typed content
+  function isEditableReplayText(node) {
+    const parent = node.parentElement;
+    return !!parent && (parent.tagName === 'TEXTAREA' || !!parent.closest(RICH_TEXT_EDITOR_SELECTOR));
+  }
 
+  function isIgnoredReplayNode(node) {
+    if (node.nodeType !== Node.ELEMENT_NODE) return false;
+    if (node.hasAttribute('data-bc-ignore')) return true;
+    const tag = node.tagName.toLowerCase();
+    return tag === 'script' || tag === 'noscript' || (tag === 'link' && /preload|prefetch|modulepreload/i.test(node.rel));
+  }
 
+  // Links and sources are made absolute and redacted like network URLs; field values are masked
+  function getReplayAttributeValue(element, name, value) {
+    if ((name === 'src' || name === 'href') && value && !/^(data|javascript|#)/i.test(value)) {
+      return redactUrl(value);
+    }
+    if (name === 'value' && ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName)) {
+      return maskReplayValue(element, value);
+    }
+    return value;
+  }
 
+  function serializeReplayAttributes(element) {
+    const attributes = {};
+    for (const attr of Array.from(element.attributes)) {
+      if (/^on/i.test(attr.name)) continue; // Inline handlers never run in replay
+      attributes[attr.name] = getReplayAttributeValue(element, attr.name, attr.value);
+    }
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName)) {
+      attributes.value = maskReplayValue(element, element.value);
+      if (element.checked) attributes.checked = '';
+    }
+    return attributes;
+  }
 
+  /**
+   * Serialise a node and its subtree into a plain object
+   */
+  function serializeReplayNode(node) {
+    if (isIgnoredReplayNode(node)) return null;
 
+    const id = getReplayNodeId(node);
+    switch (node.nodeType) {
+      case Node.DOCUMENT_NODE:
+        return { id, type: node.nodeType, childNodes: serializeReplayChildren(node) };
+      case Node.DOCUMENT_TYPE_NODE:
+        return { id, type: node.nodeType, name: node.name };
+      case Node.TEXT_NODE:
+        if (node.parentNode && node.parentNode.tagName === 'TEXTAREA') return { id, type: node.nodeType, text: '' };
+        return { id, type: node.nodeType, text: isEditableReplayText(node) ? maskReplayText(node.textContent) : node.textContent };
+      case Node.COMMENT_NODE:
+        return { id, type: node.nodeType, text: '' };
+      case Node.ELEMENT_NODE: {
+        const serialized = {
+          id,
+          type: node.nodeType,
+          tagName: node.tagName.toLowerCase(),
+          attributes: serializeReplayAttributes(node),
+          childNodes: serializeReplayChildren(node)
+        };
+        if (node.namespaceURI === SVG_NAMESPACE) serialized.isSVG = true;
+        // Capture CSS-in-JS rules inserted through the CSSOM, and readable linked
+        // stylesheets (the player does not fetch them)
+        const isLinkedSheet = node.tagName === 'LINK' && /stylesheet/i.test(node.rel);
+        if (((node.tagName === 'STYLE' && !node.textContent.trim()) || isLinkedSheet) && node.sheet) {
+          try {
+            serialized.cssText = Array.from(node.sheet.cssRules).map(rule => rule.cssText).join('\n');
+          } catch (e) {
+            // Cross-origin or inaccessible sheet
+          }
+        }
+        if (node.scrollTop || node.scrollLeft) {
+          serialized.scroll = { x: node.scrollLeft, y: node.scrollTop };
+        }
+        return serialized;
+      }
+      default:
+        return null;
+    }
+  }
 
+  function serializeReplayChildren(node) {
+    return Array.from(node.childNodes).map(serializeReplayNode).filter(Boolean);
+  }
 
+  function pushReplayEvent(type, data) {
+    if (!replayRecorder.active || !window.bcState.recording) return;
+    replayRecorder.buffer.push({ type, time: Date.now(), data });
+    if (replayRecorder.buffer.length >= REPLAY_MAX_BATCH) {
+      flushReplayEvents();
+    }
+  }
 
-/**
- * Auto-detect and capture error scenarios
- */
-function setupErrorDetection() {
-  // Common error message selectors
-  const errorSelectors = [
-    '[class*="error"]',
-    '[class*="alert"]',
-    '[class*="warning"]',
-    '[id*="error"]',
-    '[role="alert"]',
-    '.error-message',
-    '.alert-danger',
-    '.validation-error'
-  ];
-  
-  // Monitor for error messages
-  const observer = new MutationObserver((mutations) => {
-    if (!window.bcState.recording) return;
-    
-    mutations.forEach((mutation) => {
-      mutation.addedNodes.forEach((node) => {
-        if (node.nodeType === Node.ELEMENT_NODE) {
-          // Check if the added node or its children contain error messages
-          errorSelectors.forEach(selector => {
-            try {
-              const errorElements = node.matches && node.matches(selector) ? [node] : 
-                                  node.querySelectorAll ? Array.from(node.querySelectorAll(selector)) : [];
-              
-              errorElements.forEach(errorEl => {
-                const errorText = errorEl.textContent.trim();
-                if (errorText && errorText.length > 3) {
-                  // Record error without automatic screenshot
-                  recordStep({
-                    type: 'error-detected',
-                    selector: getElementSelector(errorEl),
-                    text: errorText,
-                    time: Date.now(),
-                    meta: {
-                      action: 'error-detected',
-                      timestamp: Date.now() - window.bcState.startTime,
-                      errorType: 'ui-error',
-                      element: errorEl.tagName.toLowerCase()
-                    }
-                  }).catch(console.error);
-                }
-              });
-            } catch (e) {
-              // Ignore selector errors
-            }
-          });
+  function flushReplayEvents() {
+    if (replayRecorder.buffer.length === 0) return;
+    const events = replayRecorder.buffer;
+    replayRecorder.buffer = [];
+
+    try {
+      chrome.runtime.sendMessage({
+        cmd: 'store-replay-events',
+        sessionId: window.bcState.sessionId,
+        events: events
+      }).catch(err => {
+        if (err.message && err.message.includes('Extension context invalidated')) {
+          stopReplayRecorder();
+        } else {
+          console.warn('Failed to send replay events to background:', err);
         }
       });
+    } catch (error) {
+      console.warn('Bug Capturer: Error sending replay events:', error);
+      stopReplayRecorder();
+    }
+  }
+
+  function handleReplayMutations(mutations) {
+    const changes = [];
+    mutations.forEach(mutation => {
+      const target = mutation.target;
+      if (target.nodeType === Node.ELEMENT_NODE && target.closest('[data-bc-ignore]')) return;
+      if (!replayRecorder.nodeIds.has(target)) return;
+
+      if (mutation.type === 'childList') {
+        mutation.removedNodes.forEach(node => {
+          if (replayRecorder.nodeIds.has(node)) {
+            changes.push({ kind: 'remove', parentId: getReplayNodeId(target), id: getReplayNodeId(node) });
+          }
+        });
+        mutation.addedNodes.forEach(node => {
+          if (!node.parentNode || node.parentNode !== target) return; // Already moved or removed again
+          const serialized = serializeReplayNode(node);
+          if (!serialized) return;
+          const next = node.nextSibling;
+          changes.push({
+            kind: 'add',
+            parentId: getReplayNodeId(target),
+            nextId: next && replayRecorder.nodeIds.has(next) ? getReplayNodeId(next) : null,
+            node: serialized
+          });
+        });
+      } else if (mutation.type === 'attributes') {
+        if (/^on/i.test(mutation.attributeName)) return;
+        const value = getReplayAttributeValue(target, mutation.attributeName, target.getAttribute(mutation.attributeName));
+        changes.push({ kind: 'attribute', id: getReplayNodeId(target), name: mutation.attributeName, value });
+      } else if (mutation.type === 'characterData') {
+        const text = isEditableReplayText(target) ? maskReplayText(target.textContent) : target.textContent;
+        changes.push({ kind: 'text', id: getReplayNodeId(target), text });
+      }
     });
-  });
-  
-  observer.observe(document.body, {
-    childList: true,
-    subtree: true
-  });
-  
-  // Store observer reference for cleanup
-  window.bcState.errorObserver = observer;
-}
 
-/**
- * Test scenario documentation
- */
-function recordTestScenario(scenario) {
-  if (!window.bcState.recording) return;
-  
-  // Record test scenario without automatic screenshot
-  recordStep({
-    type: 'test-scenario',
-    scenario: scenario,
-    time: Date.now(),
-    meta: {
-      action: 'test-scenario',
-      timestamp: Date.now() - window.bcState.startTime,
-      scenarioType: scenario.type || 'manual'
+    if (changes.length) {
+      pushReplayEvent('mutation', { changes });
     }
-  }).catch(console.error);
-}
+  }
 
-/**
- * Enhanced step recording with screenshot support
- */
-function recordStepWithScreenshot(stepData, takeScreenshot = false) {
-  if (takeScreenshot) {
-    captureScreenshot(stepData.description || `${stepData.type} action`).then(screenshot => {
-      recordStep({
-        ...stepData,
-        screenshot: screenshot
-      }).catch(console.error);
+  function handleReplayScroll(e) {
+    const target = e.target === document ? document.scrollingElement || document.documentElement : e.target;
+    if (!target || !replayRecorder.nodeIds.has(target)) return;
+
+    const now = Date.now();
+    if (now - (replayRecorder.lastScroll.get(target) || 0) < REPLAY_SCROLL_THROTTLE) return;
+    replayRecorder.lastScroll.set(target, now);
+
+    if (e.target === document) {
+      pushReplayEvent('scroll', { id: null, x: window.scrollX, y: window.scrollY });
+    } else {
+      pushReplayEvent('scroll', { id: getReplayNodeId(target), x: target.scrollLeft, y: target.scrollTop });
+    }
+  }
+
+  function handleReplayMouse(e) {
+    if (e.type === 'mousemove') {
+      const now = Date.now();
+      if (now - replayRecorder.lastMouseMove < REPLAY_MOUSE_THROTTLE) return;
+      replayRecorder.lastMouseMove = now;
+    }
+    pushReplayEvent('mouse', { x: e.clientX, y: e.clientY, click: e.type === 'mousedown' });
+  }
+
+  function handleReplayInput(e) {
+    const element = e.target;
+    if (!element || !replayRecorder.nodeIds.has(element)) return;
+    if (!['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName)) return;
+
+    pushReplayEvent('input', {
+      id: getReplayNodeId(element),
+      value: maskReplayValue(element, element.value),
+      checked: !!element.checked
     });
-  } else {
-    recordStep(stepData).catch(console.error);
   }
-}
-  
+
+  function handleReplayResize() {
+    pushReplayEvent('viewport', { width: window.innerWidth, height: window.innerHeight });
+  }
+
   /**
-   * Record console output as a step
+   * Take a fresh snapshot and start observing
    */
-  function recordConsoleStep(level, message) {
-    const step = {
-      type: 'console',
-      time: Date.now(),
-      url: location.href,
-      text: message.slice(0, 500), // Limit message length
-      selector: 'console',
-      sessionId: window.bcState.sessionId, // Add session ID for continuity
-      meta: {
-        action: 'console',
-        level: level,
-        timestamp: Date.now() - window.bcState.startTime
-      }
-    };
-    
-    // Store locally
-    window.bcState.steps.push(step);
+  function startReplayRecorder() {
+    if (replayRecorder.active) return;
+
+    replayRecorder.active = true;
+    replayRecorder.nodeIds = new WeakMap();
+    replayRecorder.nextNodeId = 1;
+    replayRecorder.lastScroll = new WeakMap();
+
+    pushReplayEvent('snapshot', {
+      url: redactUrl(location.href),
+      width: window.innerWidth,
+      height: window.innerHeight,
+      scroll: { x: window.scrollX, y: window.scrollY },
+      node: serializeReplayNode(document)
+    });
+
+    replayRecorder.observer = new MutationObserver(handleReplayMutations);
+    replayRecorder.observer.observe(document, {
+      childList: true,
+      attributes: true,
+      characterData: true,
+      subtree: true
+    });
+
+    document.addEventListener('scroll', handleReplayScroll, true);
+    document.addEventListener('mousemove', handleReplayMouse, true);
+    document.addEventListener('mousedown', handleReplayMouse, true);
+    document.addEventListener('input', handleReplayInput, true);
+    document.addEventListener('change', handleReplayInput, true);
+    window.addEventListener('resize', handleReplayResize);
+
+    replayRecorder.flushTimer = setInterval(flushReplayEvents, REPLAY_FLUSH_INTERVAL);
+  }
+
+  function stopReplayRecorder() {
+    if (!replayRecorder.active) return;
+
+    flushReplayEvents();
+    replayRecorder.active = false;
+    if (replayRecorder.observer) {
+      replayRecorder.observer.disconnect();
+      replayRecorder.observer = null;
+    }
+    document.removeEventListener('scroll', handleReplayScroll, true);
+    document.removeEventListener('mousemove', handleReplayMouse, true);
+    document.removeEventListener('mousedown', handleReplayMouse, true);
+    document.removeEventListener('input', handleReplayInput, true);
+    document.removeEventListener('change', handleReplayInput, true);
+    window.removeEventListener('resize', handleReplayResize);
+    clearInterval(replayRecorder.flushTimer);
+    replayRecorder.flushTimer = null;
+  }
+
+  /**
+   * Start or stop the replay recorder to match recording state and settings.
+   * Resuming after a pause takes a new snapshot because mutations were not observed.
+   */
+  function syncReplayRecorder() {
+    const shouldRecord = IS_TOP_FRAME && window.bcState.recording && window.bcState.settings.recordReplay;
+    if (shouldRecord && !replayRecorder.active) {
+      startReplayRecorder();
+    } else if (!shouldRecord && replayRecorder.active) {
+      stopReplayRecorder();
+    }
+  }
+
+  /**
+   * Bring everything that only runs while recording in line with bcState.recording.
+   * Called whenever recording starts, pauses, resumes or stops.
+   */
+  let lastSyncedRecording = false;
+  
+  function syncRecordingState() {
+    const recording = !!window.bcState.recording;
+    const wasRecording = lastSyncedRecording;
+    const started = recording && !wasRecording;
+    lastSyncedRecording = recording;
     
-    // Send to background script
-    try {
-      chrome.runtime.sendMessage({
-        cmd: 'store-step',
-        step: step
-      }).catch(err => {
-        if (err.message && err.message.includes('Extension context invalidated')) {
-          console.warn('Bug Capturer: Extension context invalidated, stopping recording');
-          window.bcState.recording = false;
-          if (window.bcState.indicator) {
-            window.bcState.indicator.style.display = 'none';
-          }
-        } else {
-          console.warn('Failed to send console step to background:', err);
-        }
-      });
-    } catch (error) {
-      if (error.message && error.message.includes('Extension context invalidated')) {
-        console.warn('Bug Capturer: Extension context invalidated, stopping recording');
-        window.bcState.recording = false;
-        if (window.bcState.indicator) {
-          window.bcState.indicator.style.display = 'none';
-        }
-      } else {
-        console.error('Bug Capturer: Error recording console step:', error);
-      }
+    sendBridgeConfig();
+    syncReplayRecorder();
+    if (recording !== wasRecording) {
+      syncErrorObserver();
+    }
+    if (started) {
+      // Components rendered while idle may have attached shadow roots
+      discoverShadowRoots(document.documentElement);
+      seedScrollOffsets();
     }
   }
+
+  // Setup page bridge and settings
+  injectPageBridge();
+  loadSettings();
+
+  /**
+   * Performance monitoring functionality with proper cleanup
+   * (declared before setup runs - setupPerformanceMonitoring uses it immediately)
+   */
+  let performanceObservers = [];
   
-  // Setup console capture
-  setupConsoleCapture();
+  /**
+   * Web Vitals state: one measurement per page load or SPA route.
+   * Thresholds are [good, poor] boundaries from web.dev.
+   */
+  const WEB_VITAL_THRESHOLDS = {
+    LCP: [2500, 4000],
+    FCP: [1800, 3000],
+    TTFB: [800, 1800],
+    CLS: [0.1, 0.25],
+    INP: [200, 500]
+  };
+  const WEB_VITALS_REPORT_DELAY_MS = 2000;
+  const INP_DURATION_THRESHOLD = 40;
+  let webVitals = null;
+  let webVitalsTimer = null;
+  let lastReportedWebVitals = '';
+  let lcpFinalized = false;
   
   // Setup performance monitoring
   setupPerformanceMonitoring();
   
   // Setup keyboard shortcuts
-  setupKeyboardShortcuts();
-  
-  /**
-   * Performance monitoring functionality with proper cleanup
-   */
-  let performanceObservers = [];
+  if (IS_TOP_FRAME) {
+    setupKeyboardShortcuts();
+  }
   
   function setupPerformanceMonitoring() {
     // Clean up any existing observers first
     cleanupPerformanceObservers();
     
-    // Monitor page load performance
-    window.addEventListener('load', function() {
+    // Monitor page load performance (Navigation Timing Level 2, times relative to navigation start)
+    const reportPageLoad = function() {
       setTimeout(() => {
-        if (window.bcState.recording && performance.timing) {
-          const timing = performance.timing;
-          const loadTime = timing.loadEventEnd - timing.navigationStart;
-          const domReady = timing.domContentLoadedEventEnd - timing.navigationStart;
-          
+        const navigation = performance.getEntriesByType ? performance.getEntriesByType('navigation')[0] : null;
+        if (window.bcState.recording && navigation) {
           recordPerformanceStep('page-load', {
-            loadTime: loadTime,
-            domReady: domReady,
-            dns: timing.domainLookupEnd - timing.domainLookupStart,
-            connect: timing.connectEnd - timing.connectStart,
-            response: timing.responseEnd - timing.responseStart
+            loadTime: Math.round(navigation.loadEventEnd),
+            domReady: Math.round(navigation.domContentLoadedEventEnd),
+            dns: Math.round(navigation.domainLookupEnd - navigation.domainLookupStart),
+            connect: Math.round(navigation.connectEnd - navigation.connectStart),
+            response: Math.round(navigation.responseEnd - navigation.responseStart)
           });
         }
       }, 100);
-    });
+    };
+    
+    // Page load timing and Web Vitals are properties of the page, not of embedded frames
+    if (IS_TOP_FRAME) {
+      if (document.readyState === 'complete') {
+        reportPageLoad();
+      } else {
+        window.addEventListener('load', reportPageLoad);
+      }
+      setupWebVitals();
+    }
     
     // Monitor resource loading with cleanup tracking
     if (window.PerformanceObserver) {
@@ -1551,8 +4461,11 @@ function recordStepWithScreenshot(stepData, takeScreenshot = false) {
       }
     };
     
-    // Store locally
-    window.bcState.steps.push(step);
+    // Store locally, in time order (held clicks are stored after later steps)
+    const steps = window.bcState.steps;
+    let index = steps.length;
+    while (index > 0 && steps[index - 1].time > step.time) index--;
+    steps.splice(index, 0, step);
     
     // Send to background script
     try {
@@ -1594,11 +4507,166 @@ function recordStepWithScreenshot(stepData, takeScreenshot = false) {
         return `Slow ${data.type}: ${data.name.split('/').pop()} (${data.duration}ms)`;
       case 'long-task':
         return `Long task detected: ${data.duration}ms`;
+      case 'web-vitals':
+        return `Web Vitals${data.navigationType === 'route-change' ? ' after route change' : ''}: ` +
+          Object.keys(data.metrics).map(name => `${name} ${data.metrics[name].display} (${data.metrics[name].rating})`).join(', ');
       default:
         return `Performance: ${type}`;
     }
   }
   
+  /**
+   * Collect LCP, CLS, INP, FCP and TTFB with PerformanceObserver. A page load
+   * measures all five; after an SPA route change CLS and INP start over for the
+   * new route (LCP, FCP and TTFB only exist for real loads).
+   */
+  function setupWebVitals() {
+    if (!window.PerformanceObserver) return;
+    
+    startWebVitalsRoute('load', 0);
+    
+    const navigation = performance.getEntriesByType('navigation')[0];
+    if (navigation && navigation.responseStart > 0) {
+      setWebVital('TTFB', Math.max(navigation.responseStart - (navigation.activationStart || 0), 0));
+    }
+    
+    observeWebVital('paint', entries => {
+      const fcp = entries.find(entry => entry.name === 'first-contentful-paint');
+      if (fcp && webVitals.navigationType === 'load') setWebVital('FCP', fcp.startTime);
+    });
+    
+    observeWebVital('largest-contentful-paint', entries => {
+      // The browser keeps reporting candidates; the last one before the first input wins
+      if (lcpFinalized || webVitals.navigationType !== 'load' || !entries.length) return;
+      setWebVital('LCP', entries[entries.length - 1].startTime);
+    });
+    
+    observeWebVital('layout-shift', entries => {
+      const cls = webVitals.cls;
+      entries.forEach(entry => {
+        if (entry.hadRecentInput || entry.startTime < webVitals.startTime) return;
+        
+        // Session windows: shifts less than 1s apart, at most 5s long; the worst window counts
+        if (cls.session && entry.startTime - cls.last < 1000 && entry.startTime - cls.first < 5000) {
+          cls.session += entry.value;
+        } else {
+          cls.session = entry.value;
+          cls.first = entry.startTime;
+        }
+        cls.last = entry.startTime;
+        
+        if (cls.session > cls.value) {
+          cls.value = cls.session;
+          setWebVital('CLS', cls.value);
+        }
+      });
+    });
+    
+    const handleInteractions = entries => {
+      const interactions = webVitals.interactions;
+      entries.forEach(entry => {
+        if (!entry.interactionId || entry.startTime < webVitals.startTime) return;
+        interactions.set(entry.interactionId, Math.max(interactions.get(entry.interactionId) || 0, entry.duration));
+      });
+      if (!interactions.size) return;
+      
+      // ~98th percentile: ignore one worst interaction for every 50
+      const durations = Array.from(interactions.values()).sort((a, b) => b - a);
+      const inp = durations[Math.min(durations.length - 1, Math.floor(durations.length / 50))];
+      if (!webVitals.metrics.INP || webVitals.metrics.INP.value !== Math.round(inp)) {
+        setWebVital('INP', inp);
+      }
+    };
+    observeWebVital('event', handleInteractions, { durationThreshold: INP_DURATION_THRESHOLD });
+    observeWebVital('first-input', handleInteractions);
+    
+    ['keydown', 'pointerdown'].forEach(type => {
+      window.addEventListener(type, () => { lcpFinalized = true; }, { once: true, capture: true });
+    });
+    
+    // Hidden pages may never come back; report what we have
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') reportWebVitals();
+    });
+  }
+  
+  function observeWebVital(type, callback, options = {}) {
+    try {
+      const observer = new PerformanceObserver(list => {
+        if (webVitals) callback(list.getEntries());
+      });
+      observer.observe({ type: type, buffered: true, ...options });
+      performanceObservers.push(observer);
+    } catch (e) {
+      // Entry type not supported by this browser
+    }
+  }
+  
+  function startWebVitalsRoute(navigationType, startTime) {
+    webVitals = {
+      route: redactUrl(location.href),
+      navigationType: navigationType,
+      startTime: startTime,
+      metrics: {},
+      cls: { value: 0, session: 0, first: 0, last: 0 },
+      interactions: new Map()
+    };
+  }
+  
+  /**
+   * Called when an SPA changes route: report the old route and measure the new one
+   */
+  function handleWebVitalsRouteChange() {
+    if (!webVitals) return;
+    reportWebVitals();
+    startWebVitalsRoute('route-change', performance.now());
+  }
+  
+  function rateWebVital(name, value) {
+    const [good, poor] = WEB_VITAL_THRESHOLDS[name];
+    return value <= good ? 'good' : value <= poor ? 'needs-improvement' : 'poor';
+  }
+  
+  function formatWebVital(name, value) {
+    if (name === 'CLS') return value.toFixed(3);
+    return value >= 1000 ? `${(value / 1000).toFixed(2)} s` : `${Math.round(value)} ms`;
+  }
+  
+  function setWebVital(name, value) {
+    if (!webVitals || !(value >= 0)) return;
+    
+    webVitals.metrics[name] = {
+      value: name === 'CLS' ? Math.round(value * 1000) / 1000 : Math.round(value),
+      rating: rateWebVital(name, value),
+      display: formatWebVital(name, value)
+    };
+    
+    // Values settle in bursts; record one snapshot once they do
+    clearTimeout(webVitalsTimer);
+    webVitalsTimer = setTimeout(reportWebVitals, WEB_VITALS_REPORT_DELAY_MS);
+  }
+  
+  /**
+   * Record the current route's metrics as a 'web-vitals' performance step.
+   * Later snapshots for the same route supersede earlier ones in the reports.
+   */
+  function reportWebVitals() {
+    clearTimeout(webVitalsTimer);
+    webVitalsTimer = null;
+    if (!webVitals || !window.bcState.recording || !Object.keys(webVitals.metrics).length) return;
+    
+    const data = {
+      route: webVitals.route,
+      navigationType: webVitals.navigationType,
+      metrics: { ...webVitals.metrics }
+    };
+    const serialized = JSON.stringify(data);
+    if (serialized === lastReportedWebVitals) return;
+    lastReportedWebVitals = serialized;
+    
+    recordPerformanceStep('web-vitals', data);
+  }
+  
   /**
    * Setup keyboard shortcuts
    */
@@ -2076,6 +5144,9 @@ function recordStepWithScreenshot(stepData, takeScreenshot = false) {
       // Clean up performance observers
       cleanupPerformanceObservers();
       
+      // Stop the replay recorder (flushes pending events)
+      stopReplayRecorder();
+      
       // Clear any input timers
       inputTimers.clear();
       
@@ -2084,6 +5155,7 @@ function recordStepWithScreenshot(stepData, takeScreenshot = false) {
         window.bcState.recording = false;
         window.bcState.selectorMode = false;
       }
+      sendBridgeConfig();
       
       // Remove any extension-created elements with data-bc-ignore attribute
       const extensionElements = document.querySelectorAll('[data-bc-ignore]');
@@ -0,0 +1,15 @@
+/**
+ * Default UI error detection rules
+ * Shared by the content script (listed before content-script.js wherever it is
+ * injected) and the options page. A site's own rule set replaces these entirely.
+ */
+
+const ERROR_RULES_KEY = 'bc_error_rules';
+// Fields marked aria-invalid are reported with their aria-errormessage / aria-describedby
+// text by the form validation capture, so they are not matched here
+const DEFAULT_ERROR_RULES = {
+  include: ['[role="alert"]', '[aria-live="assertive"]', '.error-message', '.validation-error'],
+  exclude: [],
+  textPatterns: [],
+  minVisibleMs: 0
+};
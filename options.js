@@ -0,0 +1,189 @@
+/**
+ * Bug Capturer Options - per-site UI error detection rules
+ * Rule sets are stored under bc_error_rules keyed by origin, with '*' as the
+ * default for every other site (see resolveErrorRules in content-script.js).
+ */
+
+// ERROR_RULES_KEY and DEFAULT_ERROR_RULES come from error-rules.js
+const DEFAULT_RULE_SET = '*';
+
+// DOM elements
+const siteList = document.getElementById('site-list');
+const addSiteForm = document.getElementById('add-site-form');
+const addSiteInput = document.getElementById('add-site-input');
+const ruleForm = document.getElementById('rule-form');
+const ruleHeading = document.getElementById('rule-heading');
+const includeInput = document.getElementById('rule-include');
+const excludeInput = document.getElementById('rule-exclude');
+const textPatternsInput = document.getElementById('rule-text-patterns');
+const minVisibleInput = document.getElementById('rule-min-visible');
+const resetBtn = document.getElementById('rule-reset');
+const deleteBtn = document.getElementById('rule-delete');
+const ruleStatus = document.getElementById('rule-status');
+
+// Options state
+let ruleSets = {};
+let currentSite = DEFAULT_RULE_SET;
+
+function showStatus(message, type = '') {
+  ruleStatus.textContent = message;
+  ruleStatus.className = `rule-status ${type}`;
+}
+
+function splitLines(text) {
+  return text.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Load the stored rule sets and show the default rules
+ */
+async function loadRuleSets() {
+  try {
+    const result = await chrome.storage.local.get([ERROR_RULES_KEY]);
+    ruleSets = result[ERROR_RULES_KEY] || {};
+  } catch (error) {
+    console.warn('Failed to load error rules:', error);
+    ruleSets = {};
+  }
+  renderSiteList();
+  showRuleSet(currentSite);
+}
+
+function renderSiteList() {
+  siteList.innerHTML = '';
+  const sites = [DEFAULT_RULE_SET, ...Object.keys(ruleSets).filter(site => site !== DEFAULT_RULE_SET).sort()];
+
+  sites.forEach(site => {
+    const item = document.createElement('li');
+    item.className = `site-item${site === currentSite ? ' current' : ''}`;
+    item.textContent = site === DEFAULT_RULE_SET ? 'Default (all sites)' : site;
+    item.title = item.textContent;
+    item.tabIndex = 0;
+    item.addEventListener('click', () => selectSite(site));
+    item.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        selectSite(site);
+      }
+    });
+    siteList.appendChild(item);
+  });
+}
+
+function selectSite(site) {
+  currentSite = site;
+  renderSiteList();
+  showRuleSet(site);
+  showStatus('');
+}
+
+function showRuleSet(site) {
+  const rules = ruleSets[site] || ruleSets[DEFAULT_RULE_SET] || DEFAULT_ERROR_RULES;
+  ruleHeading.textContent = site === DEFAULT_RULE_SET ? 'Default rules (all sites)' : `Rules for ${site}`;
+  includeInput.value = (rules.include || []).join('\n');
+  excludeInput.value = (rules.exclude || []).join('\n');
+  textPatternsInput.value = (rules.textPatterns || []).join('\n');
+  minVisibleInput.value = rules.minVisibleMs || 0;
+  deleteBtn.disabled = site === DEFAULT_RULE_SET;
+}
+
+/**
+ * Problems with the rules in the form, or an empty list if they are valid
+ */
+function validateRules(rules) {
+  const problems = [];
+  [...rules.include, ...rules.exclude].forEach(selector => {
+    try {
+      document.createDocumentFragment().querySelector(selector);
+    } catch (error) {
+      problems.push(`Invalid selector: ${selector}`);
+    }
+  });
+  rules.textPatterns.forEach(pattern => {
+    try {
+      const match = pattern.match(/^\/(.+)\/([a-z]*)$/);
+      new RegExp(match ? match[1] : pattern, match ? match[2] : 'i');
+    } catch (error) {
+      problems.push(`Invalid pattern: ${pattern}`);
+    }
+  });
+  if (rules.include.length === 0) {
+    problems.push('Add at least one include selector');
+  }
+  return problems;
+}
+
+async function saveRuleSets(message) {
+  try {
+    await chrome.storage.local.set({ [ERROR_RULES_KEY]: ruleSets });
+    showStatus(message, 'success');
+  } catch (error) {
+    console.error('Failed to save error rules:', error);
+    showStatus('Failed to save: ' + error.message, 'error');
+  }
+}
+
+ruleForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const rules = {
+    include: splitLines(includeInput.value),
+    exclude: splitLines(excludeInput.value),
+    textPatterns: splitLines(textPatternsInput.value),
+    minVisibleMs: Math.max(0, parseInt(minVisibleInput.value, 10) || 0)
+  };
+
+  const problems = validateRules(rules);
+  if (problems.length > 0) {
+    showStatus(problems.join('; '), 'error');
+    return;
+  }
+
+  ruleSets[currentSite] = rules;
+  renderSiteList();
+  await saveRuleSets('Rules saved - recording tabs pick them up immediately');
+});
+
+resetBtn.addEventListener('click', () => {
+  includeInput.value = DEFAULT_ERROR_RULES.include.join('\n');
+  excludeInput.value = DEFAULT_ERROR_RULES.exclude.join('\n');
+  textPatternsInput.value = DEFAULT_ERROR_RULES.textPatterns.join('\n');
+  minVisibleInput.value = DEFAULT_ERROR_RULES.minVisibleMs;
+  showStatus('Built-in defaults restored - click Save to keep them');
+});
+
+deleteBtn.addEventListener('click', async () => {
+  if (currentSite === DEFAULT_RULE_SET) return;
+  delete ruleSets[currentSite];
+  const removedSite = currentSite;
+  currentSite = DEFAULT_RULE_SET;
+  renderSiteList();
+  showRuleSet(currentSite);
+  await saveRuleSets(`Removed the rules for ${removedSite}`);
+});
+
+addSiteForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  let origin;
+  try {
+    const input = addSiteInput.value.trim();
+    origin = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(input) ? input : `https://${input}`).origin;
+  } catch (error) {
+    showStatus('Enter a site such as https://app.example.com', 'error');
+    return;
+  }
+
+  addSiteInput.value = '';
+  // New sites start from the current default rules; nothing is stored until Save
+  currentSite = origin;
+  renderSiteList();
+  if (!ruleSets[origin]) {
+    const item = document.createElement('li');
+    item.className = 'site-item current';
+    item.textContent = `${origin} (unsaved)`;
+    siteList.appendChild(item);
+  }
+  showRuleSet(origin);
+  showStatus(ruleSets[origin] ? '' : 'Edit the rules for this site and click Save');
+});
+
+loadRuleSets();
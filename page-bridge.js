@@ -0,0 +1,649 @@
+/**
+ * Bug Capturer Page Bridge - runs in the page's main world
+ * Hooks page APIs the isolated content script cannot see and forwards
+ * observations to it over a private CustomEvent channel.
+ * SECURITY: Never sends anything off the page; redaction happens in the content script
+ */
+
+(function() {
+  'use strict';
+
+  const script = document.currentScript;
+  const CHANNEL = script && script.dataset.bcChannel;
+
+  // Only run when injected by the content script, and only once per page
+  if (!CHANNEL || window.__bugCapturerBridgeInstalled) return;
+  Object.defineProperty(window, '__bugCapturerBridgeInstalled', { value: true });
+
+  // Raw body text is truncated here; the content script redacts and trims further
+  const MAX_RAW_BODY_LENGTH = 20000;
+  const IGNORED_URL_PATTERN = /^(chrome-extension|moz-extension|data|blob):/i;
+  // Responses that stay open (SSE, NDJSON feeds, multipart streams) are never read
+  const STREAMING_MIME_PATTERN = /event-stream|ndjson|jsonl|stream\+json|x-mixed-replace|grpc/i;
+
+  // Console values are serialised with these limits so huge or circular objects stay cheap
+  const MAX_SERIALIZE_DEPTH = 3;
+  const MAX_SERIALIZE_ENTRIES = 20;
+  const MAX_STRING_LENGTH = 1000;
+  const MAX_STACK_FRAMES = 15;
+  const CONSOLE_METHODS = ['log', 'error', 'warn', 'info', 'debug', 'trace', 'assert', 'table'];
+  const BRIDGE_URL = script.src;
+
+  // Settings pushed from the content script. Nothing is captured or serialised
+  // unless a recording is active; the hooks below pass straight through otherwise.
+  const config = {
+    recording: false,
+    captureBodies: false
+  };
+
+  document.addEventListener(CHANNEL + ':config', function(e) {
+    try {
+      Object.assign(config, JSON.parse(e.detail));
+    } catch (error) {
+      // Ignore malformed config messages
+    }
+  });
+
+  /**
+   * Send an observation to the content script
+   */
+  function emit(kind, payload) {
+    try {
+      document.dispatchEvent(new CustomEvent(CHANNEL, {
+        detail: JSON.stringify({ kind: kind, payload: payload })
+      }));
+    } catch (error) {
+      // Payload could not be serialised - drop it rather than break the page
+    }
+  }
+
+  /**
+   * Network capture helpers
+   */
+  function resolveUrl(url) {
+    try {
+      return new URL(url, location.href).href;
+    } catch (e) {
+      return String(url);
+    }
+  }
+
+  function headersToObject(headers) {
+    const result = {};
+    if (!headers) return result;
+
+    try {
+      if (typeof headers.forEach === 'function' && !Array.isArray(headers)) {
+        headers.forEach((value, name) => { result[name.toLowerCase()] = value; });
+      } else if (Array.isArray(headers)) {
+        headers.forEach(([name, value]) => { result[String(name).toLowerCase()] = String(value); });
+      } else {
+        Object.keys(headers).forEach(name => { result[name.toLowerCase()] = String(headers[name]); });
+      }
+    } catch (e) {
+      // Unreadable headers are simply omitted
+    }
+    return result;
+  }
+
+  function parseRawHeaders(raw) {
+    const result = {};
+    (raw || '').trim().split(/[\r\n]+/).forEach(line => {
+      const index = line.indexOf(':');
+      if (index > 0) {
+        result[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Describe a request body without reading binary contents
+   */
+  function describeBody(body) {
+    if (body === undefined || body === null) return { size: 0, text: null };
+
+    if (typeof body === 'string') {
+      return { size: body.length, text: body };
+    }
+    if (body instanceof URLSearchParams) {
+      const text = body.toString();
+      return { size: text.length, text: text };
+    }
+    if (typeof FormData !== 'undefined' && body instanceof FormData) {
+      const params = new URLSearchParams();
+      for (const [name, value] of body.entries()) {
+        params.append(name, typeof value === 'string' ? value : `[file ${value.name || 'blob'}]`);
+      }
+      const text = params.toString();
+      return { size: text.length, text: text };
+    }
+    if (typeof Blob !== 'undefined' && body instanceof Blob) {
+      return { size: body.size, text: `[binary ${body.size} bytes]` };
+    }
+    if (body.byteLength !== undefined) {
+      return { size: body.byteLength, text: `[binary ${body.byteLength} bytes]` };
+    }
+    return { size: 0, text: null };
+  }
+
+  /**
+   * Describe the body of a Request object from a clone, so the page's request is untouched
+   */
+  function readRequestBody(request) {
+    if (/^(GET|HEAD)$/i.test(request.method) || request.bodyUsed) return Promise.resolve(describeBody(null));
+    let clone;
+    try {
+      clone = request.clone();
+    } catch (e) {
+      return Promise.resolve(describeBody(null));
+    }
+    return clone.blob().then(blob => {
+      if (!blob.size) return describeBody(null);
+      if (!isTextual(blob.type || request.headers.get('content-type'))) return describeBody(blob);
+      return blob.text().then(text => ({ size: blob.size, text: text }));
+    }).catch(() => describeBody(null));
+  }
+
+  function isTextual(mimeType) {
+    return /json|text|xml|javascript|x-www-form-urlencoded|graphql/i.test(mimeType || '');
+  }
+
+  function isCapturableBody(mimeType) {
+    return isTextual(mimeType) && !STREAMING_MIME_PATTERN.test(mimeType || '');
+  }
+
+  /**
+   * Look up Resource Timing for a finished request
+   */
+  function getResourceTimings(url, startedAt) {
+    try {
+      const entries = performance.getEntriesByName(url, 'resource');
+      const entry = entries.reverse().find(e => e.startTime >= startedAt - 50);
+      if (!entry) return null;
+
+      const span = (start, end) => (start > 0 && end >= start ? Math.round(end - start) : -1);
+      return {
+        blocked: span(entry.startTime, entry.domainLookupStart || entry.fetchStart),
+        dns: span(entry.domainLookupStart, entry.domainLookupEnd),
+        connect: span(entry.connectStart, entry.connectEnd),
+        ssl: span(entry.secureConnectionStart, entry.connectEnd),
+        send: 0,
+        wait: span(entry.requestStart, entry.responseStart),
+        receive: span(entry.responseStart, entry.responseEnd),
+        transferSize: entry.transferSize || 0,
+        encodedBodySize: entry.encodedBodySize || 0
+      };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function emitNetwork(record) {
+    record.duration = Math.round(performance.now() - record.startedAt);
+    record.timings = getResourceTimings(record.request.url, record.startedAt);
+    delete record.startedAt;
+    emit('network', record);
+  }
+
+  /**
+   * fetch() hook
+   */
+  const originalFetch = window.fetch;
+  if (typeof originalFetch === 'function') {
+    window.fetch = function(input, init) {
+      if (!config.recording) return originalFetch.apply(this, arguments);
+
+      const isRequest = typeof Request !== 'undefined' && input instanceof Request;
+      const url = resolveUrl(isRequest ? input.url : input);
+      // The Request's own body has to be cloned before fetch consumes it
+      const hasInitBody = !!init && init.body !== undefined && init.body !== null;
+      const requestBody = isRequest && !hasInitBody && !IGNORED_URL_PATTERN.test(url) ? readRequestBody(input) : null;
+      const promise = originalFetch.apply(this, arguments);
+
+      if (IGNORED_URL_PATTERN.test(url)) return promise;
+
+      const body = describeBody(hasInitBody ? init.body : null);
+      const record = {
+        transport: 'fetch',
+        startedAt: performance.now(),
+        startedDateTime: new Date().toISOString(),
+        request: {
+          method: ((init && init.method) || (isRequest ? input.method : 'GET')).toUpperCase(),
+          url: url,
+          headers: headersToObject((init && init.headers) || (isRequest ? input.headers : null)),
+          bodySize: body.size,
+          body: config.captureBodies ? body.text : null
+        },
+        response: null,
+        error: null
+      };
+
+      const emitFetch = () => {
+        if (!requestBody) {
+          emitNetwork(record);
+          return;
+        }
+        requestBody.then(described => {
+          record.request.bodySize = described.size;
+          record.request.body = config.captureBodies ? described.text : null;
+          emitNetwork(record);
+        });
+      };
+
+      promise.then(response => {
+        const headers = headersToObject(response.headers);
+        const mimeType = headers['content-type'] || '';
+        record.response = {
+          status: response.status,
+          statusText: response.statusText,
+          headers: headers,
+          mimeType: mimeType,
+          bodySize: parseInt(headers['content-length'], 10) || -1,
+          body: null
+        };
+
+        if (!config.captureBodies || !isCapturableBody(mimeType)) {
+          emitFetch();
+          return;
+        }
+
+        response.clone().text().then(text => {
+          record.response.bodySize = text.length;
+          record.response.body = text.slice(0, MAX_RAW_BODY_LENGTH);
+          emitFetch();
+        }).catch(() => emitFetch());
+      }, error => {
+        record.error = (error && error.message) || String(error);
+        emitFetch();
+      });
+
+      return promise;
+    };
+  }
+
+  /**
+   * XMLHttpRequest hook
+   */
+  const xhrProto = XMLHttpRequest.prototype;
+  const originalOpen = xhrProto.open;
+  const originalSetRequestHeader = xhrProto.setRequestHeader;
+  const originalSend = xhrProto.send;
+  const xhrRecords = new WeakMap();
+
+  xhrProto.open = function(method, url) {
+    if (!config.recording) {
+      xhrRecords.delete(this);
+      return originalOpen.apply(this, arguments);
+    }
+
+    xhrRecords.set(this, {
+      transport: 'xhr',
+      request: {
+        method: String(method || 'GET').toUpperCase(),
+        url: resolveUrl(url),
+        headers: {},
+        bodySize: 0,
+        body: null
+      },
+      response: null,
+      error: null
+    });
+    return originalOpen.apply(this, arguments);
+  };
+
+  xhrProto.setRequestHeader = function(name, value) {
+    const record = xhrRecords.get(this);
+    if (record) {
+      record.request.headers[String(name).toLowerCase()] = String(value);
+    }
+    return originalSetRequestHeader.apply(this, arguments);
+  };
+
+  xhrProto.send = function(body) {
+    const record = xhrRecords.get(this);
+    if (record && config.recording && !IGNORED_URL_PATTERN.test(record.request.url)) {
+      const described = describeBody(body);
+      record.request.bodySize = described.size;
+      record.request.body = config.captureBodies ? described.text : null;
+      record.startedAt = performance.now();
+      record.startedDateTime = new Date().toISOString();
+
+      const xhr = this;
+      xhr.addEventListener('loadend', function() {
+        const headers = parseRawHeaders(xhr.getAllResponseHeaders());
+        const mimeType = headers['content-type'] || '';
+        let text = null;
+
+        if (config.captureBodies && isCapturableBody(mimeType)) {
+          try {
+            if (xhr.responseType === '' || xhr.responseType === 'text') {
+              text = xhr.responseText;
+            } else if (xhr.responseType === 'json') {
+              text = JSON.stringify(xhr.response);
+            }
+          } catch (e) {
+            text = null;
+          }
+        }
+
+        record.response = {
+          status: xhr.status,
+          statusText: xhr.statusText,
+          headers: headers,
+          mimeType: mimeType,
+          bodySize: text !== null ? text.length : (parseInt(headers['content-length'], 10) || -1),
+          body: text !== null ? text.slice(0, MAX_RAW_BODY_LENGTH) : null
+        };
+        if (xhr.status === 0) {
+          record.error = 'Request failed or was aborted';
+        }
+        emitNetwork(record);
+      });
+    }
+    return originalSend.apply(this, arguments);
+  };
+
+  /**
+   * Console capture helpers
+   */
+  function truncateString(text) {
+    return text.length > MAX_STRING_LENGTH ? text.slice(0, MAX_STRING_LENGTH) + '...' : text;
+  }
+
+  function describeNode(node) {
+    if (node.nodeType !== Node.ELEMENT_NODE) return node.nodeName.toLowerCase();
+    const id = node.id ? '#' + node.id : '';
+    const classes = typeof node.className === 'string' && node.className.trim()
+      ? '.' + node.className.trim().split(/\s+/).slice(0, 3).join('.')
+      : '';
+    return `<${node.tagName.toLowerCase()}${id}${classes}>`;
+  }
+
+  /**
+   * Structured-clone-safe copy of a console argument. `ancestors` holds the objects
+   * on the current path so circular references are cut without hiding repeated ones.
+   */
+  function serializeValue(value, depth, ancestors) {
+    const type = typeof value;
+    if (value === null || type === 'boolean') return value;
+    if (type === 'number') return Number.isFinite(value) ? value : String(value);
+    if (type === 'string') return truncateString(value);
+    if (type === 'undefined') return { __type: 'undefined' };
+    if (type === 'bigint') return value.toString() + 'n';
+    if (type === 'symbol') return value.toString();
+    if (type === 'function') return `[Function ${value.name || 'anonymous'}]`;
+
+    try {
+      if (value instanceof Error) {
+        return { __type: 'Error', name: value.name, message: truncateString(String(value.message)), stack: cleanStack(value.stack) };
+      }
+      if (typeof Node !== 'undefined' && value instanceof Node) return describeNode(value);
+      if (value instanceof Date) return isNaN(value) ? 'Invalid Date' : value.toISOString();
+      if (value instanceof RegExp) return value.toString();
+      if (value === window) return '[Window]';
+    } catch (e) {
+      return '[Unserializable]';
+    }
+
+    if (ancestors.includes(value)) return '[Circular]';
+    const typeName = Array.isArray(value) ? `Array(${value.length})` : ((value.constructor && value.constructor.name) || 'Object');
+    if (depth >= MAX_SERIALIZE_DEPTH) return `[${typeName}]`;
+
+    ancestors.push(value);
+    try {
+      if (Array.isArray(value)) {
+        const items = value.slice(0, MAX_SERIALIZE_ENTRIES).map(item => serializeValue(item, depth + 1, ancestors));
+        if (value.length > MAX_SERIALIZE_ENTRIES) items.push(`... ${value.length - MAX_SERIALIZE_ENTRIES} more`);
+        return items;
+      }
+      if (value instanceof Map || value instanceof Set) {
+        const entries = Array.from(value).slice(0, MAX_SERIALIZE_ENTRIES).map(entry => serializeValue(entry, depth + 1, ancestors));
+        return { __type: typeName, size: value.size, entries: entries };
+      }
+
+      const result = {};
+      const keys = Object.keys(value);
+      keys.slice(0, MAX_SERIALIZE_ENTRIES).forEach(key => {
+        try {
+          result[key] = serializeValue(value[key], depth + 1, ancestors);
+        } catch (e) {
+          result[key] = '[Unreadable]';
+        }
+      });
+      if (keys.length > MAX_SERIALIZE_ENTRIES) result['...'] = `${keys.length - MAX_SERIALIZE_ENTRIES} more keys`;
+      return result;
+    } catch (e) {
+      return `[${typeName}]`;
+    } finally {
+      ancestors.pop();
+    }
+  }
+
+  /**
+   * Stack trace without the bridge's own frames
+   */
+  function cleanStack(stack) {
+    if (typeof stack !== 'string') return null;
+    const frames = stack.split('\n')
+      .filter(line => /^\s+at |@/.test(line) && !(BRIDGE_URL && line.includes(BRIDGE_URL)))
+      .slice(0, MAX_STACK_FRAMES);
+    return frames.length ? frames.join('\n') : null;
+  }
+
+  function captureStack() {
+    try {
+      return cleanStack(new Error().stack);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function emitConsole(level, method, args, stack, source) {
+    if (!config.recording) return;
+    // The extension's own diagnostics are not part of the page's output
+    if (typeof args[0] === 'string' && args[0].startsWith('Bug Capturer')) return;
+
+    emit('console', {
+      level: level,
+      method: method,
+      args: args.map(arg => serializeValue(arg, 0, [])),
+      stack: stack,
+      source: source || null
+    });
+  }
+
+  /**
+   * console.* hooks
+   */
+  let inConsoleHook = false;
+
+  CONSOLE_METHODS.forEach(method => {
+    const original = console[method];
+    if (typeof original !== 'function') return;
+
+    console[method] = function() {
+      // Page code reacting to our event must not log its way back in here
+      if (config.recording && !inConsoleHook) {
+        const args = Array.prototype.slice.call(arguments);
+        inConsoleHook = true;
+        try {
+          if (method === 'assert') {
+            if (!args[0]) {
+              emitConsole('error', 'assert', ['Assertion failed:'].concat(args.slice(1)), captureStack());
+            }
+          } else {
+            const level = method === 'trace' || method === 'table' ? 'log' : method;
+            const errorArg = args.find(arg => arg instanceof Error);
+            const stack = errorArg ? cleanStack(errorArg.stack) : (['error', 'warn', 'trace'].includes(method) ? captureStack() : null);
+            emitConsole(level, method, args, stack);
+          }
+        } catch (e) {
+          // Never let capture break the page's logging
+        } finally {
+          inConsoleHook = false;
+        }
+      }
+
+      return original.apply(this, arguments);
+    };
+  });
+
+  /**
+   * Uncaught errors and unhandled rejections (e.error / e.reason are only readable here)
+   */
+  window.addEventListener('error', function(e) {
+    const source = e.filename ? `${e.filename}:${e.lineno}:${e.colno}` : null;
+    emitConsole('error', 'uncaught', [e.error || e.message], e.error ? cleanStack(e.error.stack) : null, source);
+  });
+
+  window.addEventListener('unhandledrejection', function(e) {
+    const reason = e.reason;
+    emitConsole('error', 'unhandledrejection', ['Unhandled Promise Rejection:', reason], reason instanceof Error ? cleanStack(reason.stack) : null);
+  });
+
+  /**
+   * Native dialogs - alert/confirm/prompt are wrapped so the message and the user's
+   * answer can be reported once the (blocking) dialog closes. The prompt's text is
+   * sent only as a length; the content script never sees what was typed.
+   */
+  function emitDialog(type, message, openedAt, extra) {
+    if (!config.recording) return;
+    emit('dialog', Object.assign({
+      type: type,
+      message: truncateString(message === undefined ? '' : String(message)),
+      openedAt: openedAt,
+      duration: Date.now() - openedAt
+    }, extra));
+  }
+
+  const originalAlert = window.alert;
+  const originalConfirm = window.confirm;
+  const originalPrompt = window.prompt;
+
+  window.alert = function(message) {
+    const openedAt = Date.now();
+    const result = originalAlert.apply(this, arguments);
+    emitDialog('alert', message, openedAt, { choice: 'ok' });
+    return result;
+  };
+
+  window.confirm = function(message) {
+    const openedAt = Date.now();
+    const result = originalConfirm.apply(this, arguments);
+    emitDialog('confirm', message, openedAt, { choice: result ? 'ok' : 'cancel' });
+    return result;
+  };
+
+  window.prompt = function(message) {
+    const openedAt = Date.now();
+    const result = originalPrompt.apply(this, arguments);
+    emitDialog('prompt', message, openedAt, {
+      choice: result === null ? 'cancel' : 'ok',
+      valueLength: result === null ? null : String(result).length
+    });
+    return result;
+  };
+
+  /**
+   * beforeunload prompts - a page asks for the "Leave site?" prompt by cancelling the
+   * event or setting its returnValue (a window.onbeforeunload return value sets it too).
+   * Page listeners added after ours run later, so the event is only checked once
+   * dispatch has finished. The page is frozen while the prompt is open, so a check that
+   * runs late means the prompt was really shown. The user's answer is then inferred:
+   * the page unloading means "leave", further interaction or a few seconds passing
+   * means "stay".
+   */
+  const BEFOREUNLOAD_STAY_TIMEOUT_MS = 5000;
+  const BEFOREUNLOAD_SHOWN_MIN_MS = 300;
+  let dispatchedBeforeUnload = null;
+  let pendingBeforeUnload = null;
+
+  function isBeforeUnloadPromptRequested(e) {
+    return e.defaultPrevented || (typeof e.returnValue === 'string' && e.returnValue !== '');
+  }
+
+  // Runs after dispatch (timer) or, if the page unloads first, on pagehide
+  function checkBeforeUnload() {
+    if (!dispatchedBeforeUnload) return;
+    const dispatched = dispatchedBeforeUnload;
+    dispatchedBeforeUnload = null;
+    clearTimeout(dispatched.timer);
+
+    const closedAt = Date.now();
+    const noActivation = navigator.userActivation && !navigator.userActivation.hasBeenActive;
+    // Browsers skip the prompt without a user gesture; an instant check means it never showed
+    if (!isBeforeUnloadPromptRequested(dispatched.event) || noActivation ||
+        closedAt - dispatched.openedAt < BEFOREUNLOAD_SHOWN_MIN_MS) {
+      return;
+    }
+
+    const returnValue = dispatched.event.returnValue;
+    pendingBeforeUnload = {
+      // Browsers show their own text, but the page's message still hints at why
+      message: typeof returnValue === 'string' ? returnValue : '',
+      openedAt: dispatched.openedAt,
+      closedAt: closedAt,
+      timer: setTimeout(() => resolveBeforeUnload('stay'), BEFOREUNLOAD_STAY_TIMEOUT_MS)
+    };
+  }
+
+  function resolveBeforeUnload(choice) {
+    if (!pendingBeforeUnload) return;
+    const pending = pendingBeforeUnload;
+    pendingBeforeUnload = null;
+    clearTimeout(pending.timer);
+    emitDialog('beforeunload', pending.message, pending.openedAt, {
+      choice: choice,
+      duration: pending.closedAt - pending.openedAt
+    });
+  }
+
+  window.addEventListener('beforeunload', function(e) {
+    if (!config.recording || dispatchedBeforeUnload || pendingBeforeUnload) return;
+    dispatchedBeforeUnload = {
+      event: e,
+      openedAt: Date.now(),
+      timer: setTimeout(checkBeforeUnload, 0)
+    };
+  });
+  window.addEventListener('pagehide', () => {
+    checkBeforeUnload();
+    resolveBeforeUnload('leave');
+  });
+  ['pointerdown', 'keydown'].forEach(type => {
+    window.addEventListener(type, () => resolveBeforeUnload('stay'), true);
+  });
+
+  /**
+   * History API - pushState/replaceState calls and popstate/hashchange events, reported
+   * with the URL before and after so the content script can record SPA route changes
+   * that don't reload the page. Calls that leave the URL unchanged are not reported.
+   */
+  let lastRouteUrl = location.href;
+
+  function emitRoute(trigger) {
+    const from = lastRouteUrl;
+    const to = location.href;
+    if (from === to) return;
+    lastRouteUrl = to;
+    // Back/forward onto an entry with a different hash also fires hashchange
+    if (trigger === 'hashchange' && from.split('#')[0] !== to.split('#')[0]) {
+      trigger = 'popstate';
+    }
+    emit('route', { trigger: trigger, from: from, to: to });
+  }
+
+  ['pushState', 'replaceState'].forEach(method => {
+    const original = history[method];
+    history[method] = function() {
+      const result = original.apply(this, arguments);
+      emitRoute(method);
+      return result;
+    };
+  });
+
+  // Fragment navigation fires popstate too; let the queued hashchange report it first
+  window.addEventListener('popstate', () => setTimeout(() => emitRoute('popstate'), 0));
+  window.addEventListener('hashchange', () => emitRoute('hashchange'));
+})();
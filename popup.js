@@ -128,6 +128,8 @@ async function getCurrentUrl() {
 const activateBtn = document.getElementById('activate-btn');
 const clearBtn = document.getElementById('clear-btn');
 const downloadReportsBtn = document.getElementById('download-reports-btn');
+const replayBtn = document.getElementById('replay-btn');
+const errorRulesBtn = document.getElementById('error-rules-btn');
 
 const stopBtn = document.getElementById('stop-btn');
 const toggleBtn = document.getElementById('toggle-btn');
@@ -148,11 +150,18 @@ const modalNext = document.getElementById('modal-next');
 const downloadScreenshot = document.getElementById('download-screenshot');
 const copyScreenshot = document.getElementById('copy-screenshot');
 const deleteScreenshot = document.getElementById('delete-screenshot');
+const annotateScreenshot = document.getElementById('annotate-screenshot');
+const annotationEditor = document.getElementById('annotation-editor');
+const screenshotAnnotator = annotationEditor && typeof ScreenshotAnnotator !== 'undefined'
+  ? new ScreenshotAnnotator(annotationEditor)
+  : null;
 const searchBox = document.getElementById('search-box');
 const stepsContainer = document.getElementById('steps-container');
 const stepsHeader = document.getElementById('steps-header');
 const toggleStepsBtn = document.getElementById('toggle-steps');
 const status = document.getElementById('status');
+const settingInputs = document.querySelectorAll('[data-setting]');
+const hashNavigationInput = document.getElementById('setting-hash-navigation');
 
 // Extension state
 let isExtensionActive = false;
@@ -160,6 +169,15 @@ let screenshots = []; // Store captured screenshots
 let currentScreenshotIndex = -1; // For modal navigation
 let stepsCollapsed = false; // Track steps container state
 
+// Capture settings shared with the content script (see DEFAULT_SETTINGS there)
+const SETTINGS_KEY = 'bc_settings';
+const DEFAULT_SETTINGS = {
+  captureNetworkBodies: false,
+  recordReplay: false,
+  keyboardCapture: 'shortcuts',
+  hashNavigationOrigins: []
+};
+
 /**
  * Deduplicate screenshots based on dataURL or timestamp
  * @param {Array} screenshots - Array of screenshot objects
@@ -197,17 +215,21 @@ function formatTime(timestamp) {
 
 /**
  * Calculate step statistics
- * Only counts UI interactions, excludes console and performance events
+ * Only counts UI interactions, excludes console, performance and network events
  */
 function calculateStats(steps) {
-  // Filter out console, performance, focus, and blur events from step count
+  // Filter out console, performance, network, focus, and blur events from step count
   const uiSteps = steps.filter(step => 
     step.type !== 'console' && 
     step.type !== 'performance' &&
+    step.type !== 'storage' &&
+    step.type !== 'network' &&
     step.meta?.action !== 'focus' &&
     step.meta?.action !== 'blur'
   );
   
+  const networkSteps = steps.filter(step => step.type === 'network');
+  
   const stats = {
     total: uiSteps.length,
     error: 0,
@@ -215,7 +237,9 @@ function calculateStats(steps) {
     success: 0,
     form: 0,
     click: 0,
-    navigation: 0
+    navigation: 0,
+    network: networkSteps.length,
+    failedRequests: networkSteps.filter(isFailedRequest).length
   };
   
   uiSteps.forEach(step => {
@@ -246,6 +270,8 @@ function renderStats(steps) {
       ${stats.click > 0 ? `<div class="stat-item">Clicks: ${stats.click}</div>` : ''}
       ${stats.form > 0 ? `<div class="stat-item">Form: ${stats.form}</div>` : ''}
       ${stats.navigation > 0 ? `<div class="stat-item">Navigation: ${stats.navigation}</div>` : ''}
+      ${stats.network > 0 ? `<div class="stat-item">Requests: ${stats.network}</div>` : ''}
+      ${stats.failedRequests > 0 ? `<div class="stat-item error">Failed requests: ${stats.failedRequests}</div>` : ''}
       ${stats.error > 0 ? `<div class="stat-item error">Errors: ${stats.error}</div>` : ''}
       ${stats.warning > 0 ? `<div class="stat-item warning">Warnings: ${stats.warning}</div>` : ''}
       ${stats.success > 0 ? `<div class="stat-item success">Success: ${stats.success}</div>` : ''}
@@ -263,6 +289,7 @@ function renderSteps(steps = allSteps, filter = '') {
   let filteredSteps = steps.filter(step => 
     step.type !== 'console' && 
     step.type !== 'performance' &&
+    step.type !== 'storage' &&
     step.meta?.action !== 'focus' &&
     step.meta?.action !== 'blur'
   );
@@ -452,7 +479,8 @@ async function exportRTFDocument() {
 function generateRTFReportHTML(steps, title, currentUrl = 'Unknown URL') {
   // Filter out console and performance events
   const uiSteps = steps.filter(step => 
-    step.type !== 'console' && step.type !== 'performance'
+    step.type !== 'console' && step.type !== 'performance' &&
+    step.type !== 'storage'
   );
   
   // Find screenshots in steps
@@ -583,6 +611,7 @@ function convertStepsToReadable(steps) {
   const uiSteps = steps.filter(step => 
     step.type !== 'console' && 
     step.type !== 'performance' &&
+    step.type !== 'storage' &&
     step.meta?.action !== 'focus' &&
     step.meta?.action !== 'blur'
   );
@@ -603,7 +632,142 @@ function convertStepsToReadable(steps) {
   return convertedSteps.join('\n');
 }
 
+/**
+ * Readable description of a step, naming the iframe it happened in (if any)
+ */
 function formatStepDirectly(step) {
+  const description = formatStepAction(step);
+  if (description && step && step.meta?.frame) {
+    return `${description} ${describeFrame(step.meta.frame)}`;
+  }
+  return description;
+}
+
+/**
+ * One-line summary of a step for the "Actual Results" of the inline reports
+ */
+function summarizeStepAction(step) {
+  const action = step.meta?.action || step.type || 'action';
+  const target = step.text || step.selector || 'element';
+  const frame = step.meta?.frame ? ` ${describeFrame(step.meta.frame)}` : '';
+  
+  switch (action) {
+    case 'click':
+      return `Clicked on ${target}${frame}`;
+    case 'input':
+      return `Entered data in ${target}${frame}`;
+    case 'select':
+      return `Selected option from ${target}${frame}`;
+    case 'submit':
+      return `Submitted form${frame}`;
+    case 'navigation':
+      return (step.meta?.route ? formatRouteStep(step.meta.route) : `Navigated to ${target}`) + frame;
+    case 'keypress':
+      return `Pressed ${step.text || 'key'}${step.meta?.count > 1 ? ` ${step.meta.count} times` : ''}${frame}`;
+    case 'change':
+      return `Changed ${target}${frame}`;
+    case 'toggle':
+      return `Toggled ${target}${frame}`;
+    case 'network':
+      return formatNetworkStep(step) + frame;
+    case 'scroll':
+    case 'hover':
+    case 'drag':
+    case 'upload':
+    case 'dialog':
+    case 'copy':
+    case 'cut':
+    case 'paste':
+    case 'environment':
+    case 'validation-failed':
+    case 'dblclick':
+    case 'contextmenu':
+      // Already names the frame
+      return formatStepDirectly(step);
+    default:
+      return `Performed ${action} on ${target}${frame}`;
+  }
+}
+
+const ROLE_NOUNS = {
+  button: 'button',
+  link: 'link',
+  textbox: 'text field',
+  searchbox: 'search field',
+  spinbutton: 'number field',
+  combobox: 'dropdown',
+  listbox: 'list',
+  checkbox: 'checkbox',
+  radio: 'radio button',
+  switch: 'switch',
+  slider: 'slider',
+  tab: 'tab',
+  menu: 'menu',
+  menubar: 'menu bar',
+  menuitem: 'menu item',
+  menuitemcheckbox: 'menu item',
+  menuitemradio: 'menu item',
+  option: 'option',
+  grid: 'grid',
+  tree: 'tree',
+  treeitem: 'tree item',
+  img: 'image',
+  heading: 'heading',
+  cell: 'cell',
+  gridcell: 'cell',
+  row: 'row'
+};
+
+/**
+ * "the 'Place order' button" from the accessible name and role recorded with the step,
+ * or null when the step has no accessible name
+ */
+function describeAccessibleTarget(step) {
+  const accessible = step.meta?.accessible;
+  if (!accessible || !accessible.name) return null;
+  const noun = ROLE_NOUNS[accessible.role];
+  return noun ? `the '${accessible.name}' ${noun}` : `'${accessible.name}'`;
+}
+
+/**
+ * Describe a native alert/confirm/prompt/beforeunload dialog step
+ */
+function formatDialogStep(step) {
+  const meta = step.meta || {};
+  const message = meta.message ? ` "${meta.message}"` : '';
+  switch (meta.dialogType) {
+    case 'alert':
+      return `Alert${message} was shown and dismissed with OK`;
+    case 'confirm':
+      return `Confirm dialog${message} was answered with ${meta.choice === 'ok' ? 'OK' : 'Cancel'}`;
+    case 'prompt':
+      return meta.choice === 'ok'
+        ? `Prompt${message} was answered with a ${meta.valueLength}-character value (redacted)`
+        : `Prompt${message} was cancelled`;
+    case 'beforeunload':
+      return `"Leave site?" prompt was shown; the user chose to ${meta.choice === 'leave' ? 'leave the page' : 'stay on the page'}`;
+    default:
+      return `Dialog${message} was shown`;
+  }
+}
+
+/**
+ * "Navigated from /cart to /checkout", "Went back from /checkout to /cart"
+ */
+function formatRouteStep(route) {
+  switch (route.trigger) {
+    case 'popstate':
+      return `Went back/forward from ${route.from} to ${route.to}`;
+    case 'replaceState':
+      return `Route replaced: ${route.from} → ${route.to}`;
+    case 'hashchange':
+      return `Navigated from ${route.from} to ${route.to} (hash change)`;
+    default:
+      return `Navigated from ${route.from} to ${route.to}`;
+  }
+}
+
+function formatStepAction(step) {
   // Validate step object
   if (!step || typeof step !== 'object') {
     return 'Invalid step data';
@@ -625,14 +789,30 @@ function formatStepDirectly(step) {
   
   switch (action) {
     case 'click':
+    case 'dblclick':
+    case 'contextmenu':
       const clickTarget = getMeaningfulElementName(target, step);
+      const verb = describeClickGesture(action, step.meta?.modifiers);
+      const gesture = verb.charAt(0).toUpperCase() + verb.slice(1);
       // Check if this is a sensitive field click
       if (clickTarget && clickTarget.includes('[REDACTED]')) {
-        return 'Clicked on a Sensitive field';
+        return `${gesture} on a Sensitive field`;
       }
-      return `Clicked ${addProperArticle(clickTarget)}`;
+      return `${gesture} ${describeAccessibleTarget(step) || addProperArticle(clickTarget)}`;
     case 'input':
       const fieldName = getMeaningfulElementName(target, step);
+      const accessibleField = describeAccessibleTarget(step);
+      const fieldLabel = accessibleField || addProperArticle(fieldName);
+      const contentChange = step.meta?.contentChange;
+      if (contentChange) {
+        const lengths = `${contentChange.beforeLength} → ${contentChange.afterLength} characters`;
+        if (contentChange.afterLength === 0) {
+          return `Cleared ${fieldLabel}`;
+        }
+        return contentChange.preview === '[REDACTED]'
+          ? `Edited sensitive content in ${fieldLabel} (${lengths})`
+          : `Edited ${fieldLabel} (${lengths}): "${contentChange.preview}"`;
+      }
       let value = details || step.meta?.value || '';
       
       // Remove duplication patterns like "Entered "admin" in Username"
@@ -644,14 +824,42 @@ function formatStepDirectly(step) {
       }
       
       if (value && value.trim() !== '' && value !== '[REDACTED]') {
-        return `Entered "${value}" into ${addProperArticle(fieldName)}`;
+        return accessibleField ? `Entered '${value}' into ${accessibleField}` : `Entered "${value}" into ${fieldLabel}`;
       } else if (value === '[REDACTED]') {
-        return `Entered sensitive data into ${addProperArticle(fieldName)}`;
+        return `Entered sensitive data into ${fieldLabel}`;
       } else {
-        return `Cleared ${addProperArticle(fieldName)}`;
+        return `Cleared ${fieldLabel}`;
       }
+    case 'dialog':
+      return formatDialogStep(step);
+    case 'copy':
+    case 'cut':
+    case 'paste':
+      return formatClipboardStep(step);
+    case 'environment':
+      return details || 'Browser environment changed';
+    case 'validation-failed':
+      const failedFields = (step.meta?.fields || []).map(field =>
+        `"${field.name}" (${field.constraint}${field.validationMessage ? `: ${field.validationMessage}` : ''})`
+      );
+      return `Form validation failed${failedFields.length ? ` for ${failedFields.join(', ')}` : ''}`;
+    case 'drag':
+      const dragTarget = step.meta?.target?.name ? ` onto "${step.meta.target.name}"` : '';
+      const dragMovement = step.meta?.movement ? ` (moved ${step.meta.movement})` : '';
+      return `Dragged "${target}"${dragTarget}${dragMovement}`;
+    case 'upload':
+      const uploadField = getMeaningfulElementName(target, step);
+      const uploadTarget = /\b(field|zone|area)$/i.test(uploadField) ? uploadField : `${uploadField} field`;
+      const uploadMethod = step.meta?.source === 'drop' ? ' by drag and drop' : '';
+      return `Uploaded ${step.meta?.summary || 'a file'} to ${addProperArticle(uploadTarget)}${uploadMethod}`;
     case 'select':
       const selectTarget = getMeaningfulElementName(target, step);
+      const accessibleSelect = describeAccessibleTarget(step);
+      if (accessibleSelect) {
+        // Native selects keep the option in the step text ("country: Selected: Germany")
+        const selectedValue = details || step.meta?.value || (target.match(/Selected: (.*)$/) || [])[1] || '';
+        return `Selected '${selectedValue}' from ${accessibleSelect}`;
+      }
       return `Selected "${details}" from ${addProperArticle(selectTarget)}`;
     case 'submit':
       const submitButtonName = getMeaningfulElementName(target, step);
@@ -660,8 +868,20 @@ function formatStepDirectly(step) {
       }
       return `Submitted the form`;
     case 'hover':
-      return `Hovered over ${addProperArticle(getMeaningfulElementName(target, step))}`;
+      const hoverTarget = addProperArticle(getMeaningfulElementName(target, step));
+      if (step.meta?.reveal === 'menu') {
+        return `Hovered over ${hoverTarget} to open its menu`;
+      } else if (step.meta?.reveal === 'tooltip') {
+        return `Hovered over ${hoverTarget} to show its tooltip`;
+      } else if (step.meta?.reveal === 'content') {
+        return `Hovered over ${hoverTarget} to reveal hidden content`;
+      }
+      return `Hovered over ${hoverTarget}`;
     case 'scroll':
+      if (step.meta?.direction && step.meta?.distance) {
+        const where = step.meta.container ? `in the "${target}" area` : 'on the page';
+        return `Scrolled ${step.meta.direction} ${step.meta.distance}px ${where}`;
+      }
       if (details && details.includes('down')) {
         return `Scrolled down on the page`;
       } else if (details && details.includes('up')) {
@@ -670,6 +890,9 @@ function formatStepDirectly(step) {
         return `Scrolled on the page`;
       }
     case 'navigation':
+      if (step.meta?.route) {
+        return formatRouteStep(step.meta.route);
+      }
       // Prioritize step.url (current URL) over step.text (which may contain old URL)
       if (step.url) {
         return `Navigated to a new page: ${step.url}`;
@@ -683,7 +906,9 @@ function formatStepDirectly(step) {
       return `Navigated to a new page`;
     case 'keypress':
       const keyText = step.text || 'a key';
-      if (keyText === 'Enter') {
+      if (step.meta?.count > 1) {
+        return `Pressed ${keyText} ${step.meta.count} times`;
+      } else if (keyText === 'Enter') {
         return `Pressed Enter`;
       } else if (keyText === 'Tab') {
         return `Pressed Tab`;
@@ -693,6 +918,11 @@ function formatStepDirectly(step) {
     case 'change':
       return `Modified ${addProperArticle(getMeaningfulElementName(target, step))}`;
     case 'toggle':
+      const accessibleToggle = describeAccessibleTarget(step);
+      if (accessibleToggle) {
+        if (step.meta.accessible.role === 'radio') return `Selected ${accessibleToggle}`;
+        return `${step.meta.accessible.checked === false ? 'Unchecked' : 'Checked'} ${accessibleToggle}`;
+      }
       return `Toggled ${addProperArticle(getMeaningfulElementName(target, step))}`;
     case 'screenshot-custom':
     case 'screenshot':
@@ -701,11 +931,43 @@ function formatStepDirectly(step) {
       return `Console ${step.meta?.level || 'log'}: ${target}`;
     case 'performance':
       return `Performance event: ${target}`;
+    case 'network':
+      return formatNetworkStep(step);
     default:
       return `Performed ${action} on ${addProperArticle(getMeaningfulElementName(target, step))}`;
   }
 }
 
+/**
+ * Whether a network step failed (transport error or HTTP 4xx/5xx)
+ */
+function isFailedRequest(step) {
+  return !!(step.meta?.error || step.meta?.response?.status >= 400);
+}
+
+/**
+ * Describe a captured fetch/XHR request, e.g. "Request GET /api/cart returned 500 Internal Server Error (412ms)"
+ */
+function formatNetworkStep(step) {
+  const request = step.meta?.request || {};
+  const response = step.meta?.response || {};
+  let path = request.url || step.text || '';
+  try {
+    const parsed = new URL(path);
+    path = parsed.pathname + parsed.search;
+  } catch (e) {
+    // Keep the raw URL
+  }
+  if (path.length > 100) path = path.slice(0, 97) + '...';
+  
+  const duration = step.meta?.duration !== undefined ? ` (${step.meta.duration}ms)` : '';
+  if (step.meta?.error && !response.status) {
+    return `Request ${request.method || 'GET'} ${path} failed: ${step.meta.error}${duration}`;
+  }
+  const statusText = response.statusText ? ` ${response.statusText}` : '';
+  return `Request ${request.method || 'GET'} ${path} returned ${response.status}${statusText}${duration}`;
+}
+
 function getMeaningfulElementName(target, step) {
   if (!target) return 'the page';
   
@@ -1088,34 +1350,11 @@ function generateModalHTML(steps, metadata, stats, readableSteps) {
   const keyActions = steps.filter(step => 
     step.type !== 'console' && 
     step.type !== 'performance' && 
+    step.type !== 'storage' &&
     !['screenshot', 'focus', 'blur'].includes(step.meta?.action || step.type)
   );
   
-  const actionSummary = keyActions.map((step, index) => {
-    const action = step.meta?.action || step.type || 'action';
-    const target = step.text || step.selector || 'element';
-    
-    switch (action) {
-      case 'click':
-        return `Clicked on ${target}`;
-      case 'input':
-        return `Entered data in ${target}`;
-      case 'select':
-        return `Selected option from ${target}`;
-      case 'submit':
-        return `Submitted form`;
-      case 'navigation':
-        return `Navigated to ${target}`;
-      case 'keypress':
-        return `Pressed ${step.text || 'key'}`;
-      case 'change':
-        return `Changed ${target}`;
-      case 'toggle':
-        return `Toggled ${target}`;
-      default:
-        return `Performed ${action} on ${target}`;
-    }
-  }).join(' → ');
+  const actionSummary = keyActions.map(summarizeStepAction).join(' → ');
   
   return `
     <div style="padding: 0; overflow-y: auto; background: linear-gradient(135deg, #000000 0%, #1a1a1a 100%); color: #ffffff;">
@@ -1165,7 +1404,7 @@ function generateModalHTML(steps, metadata, stats, readableSteps) {
                 <div style="font-size: 12px; font-weight: 600; margin-bottom: 12px; word-wrap: break-word; overflow-wrap: break-word;">${screenshot.description || `Screenshot ${index + 1}`}</div>
                 ${screenshot.dataURL ? `
                   <div style="border: 1px solid rgba(255, 255, 255, 0.1); border-radius: 8px; overflow: hidden; background: #000; max-width: 100%;">
-                    <img src="${screenshot.dataURL}" 
+                    <img src="${getScreenshotImage(screenshot)}" 
                          style="width: 100%; height: auto; max-height: 300px; object-fit: contain; cursor: pointer; display: block;" 
                          onclick="this.style.maxHeight = this.style.maxHeight === 'none' ? '300px' : 'none'; this.style.objectFit = this.style.objectFit === 'contain' ? 'cover' : 'contain';"
                          title="Click to expand/collapse and toggle fit mode"
@@ -1286,7 +1525,7 @@ function setupModalEventListeners(modalOverlay) {
 async function saveScreenshotAsFile(screenshot, index) {
   try {
     // Convert data URL to blob
-    const response = await fetch(screenshot.dataURL);
+    const response = await fetch(getScreenshotImage(screenshot));
     const blob = await response.blob();
     
     // Create filename with timestamp
@@ -1345,7 +1584,7 @@ async function downloadWordDocumentReport() {
 
 
 /**
- * Download both Word and TVD reports simultaneously
+ * Download the Word and TVD reports and the HAR network log simultaneously
  */
 async function downloadBothReports() {
   try {
@@ -1379,37 +1618,39 @@ async function downloadBothReports() {
     }
 
     // Show loading status
-    status.textContent = 'Generating both Word and TVD reports...';
+    status.textContent = 'Generating Word, TVD and HAR reports...';
     status.style.color = '#f97316';
 
     // Reset the download tracker to ensure proper clearing behavior
     reportDownloadTracker.reset();
 
-    // Start both downloads simultaneously
-    const [wordResult, tvdResult] = await Promise.allSettled([
+    // Start all downloads simultaneously
+    const [wordResult, tvdResult, harResult] = await Promise.allSettled([
       generateWordDocumentReport(),
-      generateTVDReport()
+      generateTVDReport(),
+      generateHARReport()
     ]);
 
     // Check results and provide feedback
+    const reportResults = [
+      ['Word report', wordResult],
+      ['TVD report', tvdResult],
+      ['HAR export', harResult]
+    ];
     let successCount = 0;
     let errorMessages = [];
 
-    if (wordResult.status === 'fulfilled') {
-      successCount++;
-    } else {
-      errorMessages.push(`Word report: ${wordResult.reason?.message || 'Unknown error'}`);
-    }
-
-    if (tvdResult.status === 'fulfilled') {
-      successCount++;
-    } else {
-      errorMessages.push(`TVD report: ${tvdResult.reason?.message || 'Unknown error'}`);
-    }
+    reportResults.forEach(([name, result]) => {
+      if (result.status === 'fulfilled') {
+        successCount++;
+      } else {
+        errorMessages.push(`${name}: ${result.reason?.message || 'Unknown error'}`);
+      }
+    });
 
     // Update status based on results and trigger cleanup for successful downloads
-    if (successCount === 2) {
-      status.textContent = '✅ Both reports generated and downloaded successfully!';
+    if (successCount === reportResults.length) {
+      status.textContent = '✅ All reports generated and downloaded successfully!';
       status.className = 'status success';
       
       // Trigger immediate comprehensive cleanup after successful downloads
@@ -1417,8 +1658,8 @@ async function downloadBothReports() {
         await performPostDownloadCleanup();
       }, 1500); // Short delay to let user see success message
       
-    } else if (successCount === 1) {
-      status.textContent = `⚠️ One report generated successfully. Errors: ${errorMessages.join(', ')}`;
+    } else if (successCount > 0) {
+      status.textContent = `⚠️ ${successCount} of ${reportResults.length} reports generated successfully. Errors: ${errorMessages.join(', ')}`;
       status.className = 'status warning';
       
       // Partial cleanup for partial success
@@ -1439,6 +1680,185 @@ async function downloadBothReports() {
   }
 }
 
+// Header names whose values never leave the extension unredacted (SENSITIVE_PATTERNS is in report-helpers.js)
+const SENSITIVE_HEADER_PATTERN = new RegExp('^(authorization|proxy-authorization|cookie|set-cookie)$|' + SENSITIVE_PATTERNS.source, 'i');
+
+function redactFieldsByKey(value, depth = 0) {
+  if (depth > 10 || value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(item => redactFieldsByKey(item, depth + 1));
+
+  const result = {};
+  Object.keys(value).forEach(key => {
+    result[key] = SENSITIVE_PATTERNS.test(key) ? '[REDACTED]' : redactFieldsByKey(value[key], depth + 1);
+  });
+  return result;
+}
+
+/**
+ * Redact a captured body by key so JSON and form bodies stay valid; any other
+ * text (including bodies truncated at capture) is left as it is
+ */
+function redactHARBody(text) {
+  if (!text || typeof text !== 'string') return text;
+
+  try {
+    return JSON.stringify(redactFieldsByKey(JSON.parse(text)));
+  } catch (e) {
+    // Not JSON
+  }
+  if (/^[^\s=&]+=[^\s]*$/.test(text)) {
+    const params = new URLSearchParams(text);
+    for (const name of Array.from(params.keys())) {
+      if (SENSITIVE_PATTERNS.test(name)) params.set(name, '[REDACTED]');
+    }
+    return params.toString();
+  }
+  return text;
+}
+
+/**
+ * Convert a captured header object to HAR name/value pairs with redaction
+ */
+function toHARHeaders(headers) {
+  return Object.keys(headers || {}).map(name => ({
+    name: name,
+    value: SENSITIVE_HEADER_PATTERN.test(name) ? '[REDACTED]' : redactSensitiveData(String(headers[name]))
+  }));
+}
+
+/**
+ * Parse Cookie / Set-Cookie headers into HAR cookies; values are always redacted
+ */
+function toHARCookies(headers, headerName) {
+  const raw = headers?.[headerName];
+  if (!raw) return [];
+  
+  const cookieStrings = headerName === 'set-cookie' ? String(raw).split(/\n/) : String(raw).split(';');
+  return cookieStrings.map(cookie => {
+    const name = cookie.split(';')[0].split('=')[0].trim();
+    return name ? { name: name, value: '[REDACTED]' } : null;
+  }).filter(Boolean);
+}
+
+function toHARQueryString(url) {
+  try {
+    return Array.from(new URL(url).searchParams.entries()).map(([name, value]) => ({
+      name: name,
+      value: SENSITIVE_PATTERNS.test(name) ? '[REDACTED]' : value
+    }));
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Build a HAR 1.2 log from captured network steps
+ */
+function buildHAR(networkSteps) {
+  const entries = networkSteps.map(step => {
+    const meta = step.meta || {};
+    const request = meta.request || {};
+    const response = meta.response || {};
+    const timings = meta.timings || {};
+    const duration = Math.max(0, meta.duration || 0);
+    const wait = timings.wait >= 0 ? timings.wait : duration;
+    const receive = timings.receive >= 0 ? timings.receive : 0;
+    
+    const entry = {
+      startedDateTime: meta.startedDateTime || new Date(step.time - duration).toISOString(),
+      time: duration,
+      request: {
+        method: request.method || 'GET',
+        url: request.url || '',
+        httpVersion: 'HTTP/1.1',
+        cookies: toHARCookies(request.headers, 'cookie'),
+        headers: toHARHeaders(request.headers),
+        queryString: toHARQueryString(request.url),
+        headersSize: -1,
+        bodySize: request.bodySize || 0
+      },
+      response: {
+        status: response.status || 0,
+        statusText: response.statusText || (meta.error ? meta.error : ''),
+        httpVersion: 'HTTP/1.1',
+        cookies: toHARCookies(response.headers, 'set-cookie'),
+        headers: toHARHeaders(response.headers),
+        content: {
+          size: response.bodySize >= 0 ? response.bodySize : 0,
+          mimeType: response.mimeType || 'x-unknown'
+        },
+        redirectURL: response.headers?.location || '',
+        headersSize: -1,
+        bodySize: response.bodySize >= 0 ? response.bodySize : -1
+      },
+      cache: {},
+      timings: {
+        blocked: timings.blocked >= 0 ? timings.blocked : -1,
+        dns: timings.dns >= 0 ? timings.dns : -1,
+        connect: timings.connect >= 0 ? timings.connect : -1,
+        ssl: timings.ssl >= 0 ? timings.ssl : -1,
+        send: 0,
+        wait: wait,
+        receive: receive
+      },
+      _transport: meta.transport || 'fetch'
+    };
+    
+    if (request.body) {
+      entry.request.postData = {
+        mimeType: request.headers?.['content-type'] || 'text/plain',
+        text: redactHARBody(request.body)
+      };
+    }
+    if (response.body) {
+      entry.response.content.text = redactHARBody(response.body);
+    }
+    if (meta.error) {
+      entry._error = meta.error;
+    }
+    
+    return entry;
+  });
+  
+  return {
+    log: {
+      version: '1.2',
+      creator: {
+        name: 'Bug Capturer Extension',
+        version: chrome.runtime.getManifest().version
+      },
+      pages: [],
+      entries: entries
+    }
+  };
+}
+
+/**
+ * HAR - Export the session's captured network requests as a HAR 1.2 file
+ */
+async function generateHARReport() {
+  const networkSteps = allSteps.filter(step => step.type === 'network');
+  
+  if (networkSteps.length === 0) {
+    console.log('No network requests captured, skipping HAR export');
+    return;
+  }
+  
+  const har = buildHAR(networkSteps);
+  const blob = new Blob([JSON.stringify(har, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `network-log-${new Date().toISOString().slice(0, 10)}.har`;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+  
+  console.log(`HAR export generated with ${networkSteps.length} entries`);
+}
+
 /**
  * TVD - Capture all screenshots from session and generate Word document
  */
@@ -1477,8 +1897,8 @@ async function generateTVDReport() {
     // Prepare screenshots data for TVD report (screenshots only)
     const screenshotData = uniqueScreenshots.map((screenshot, index) => ({
       filename: `screenshot-${String(index + 1).padStart(2, '0')}.png`,
-      dataUrl: screenshot.dataURL,
-      data: screenshot.dataURL,
+      dataUrl: getScreenshotImage(screenshot),
+      data: getScreenshotImage(screenshot),
       description: screenshot.description || `Screenshot ${index + 1}`,
       timestamp: screenshot.timestamp,
       type: screenshot.type || 'fullpage'
@@ -1578,8 +1998,8 @@ async function generateWordDocumentReport() {
     
     const screenshotData = limitedScreenshots.map((screenshot, index) => ({
       filename: `screenshot-${index + 1}.png`,
-      dataUrl: screenshot.dataURL || screenshot.data,
-      data: screenshot.dataURL || screenshot.data,
+      dataUrl: getScreenshotImage(screenshot) || screenshot.data,
+      data: getScreenshotImage(screenshot) || screenshot.data,
       description: screenshot.description || `Custom area screenshot ${index + 1}`,
       timestamp: screenshot.timestamp
     }));
@@ -1604,13 +2024,29 @@ async function generateWordDocumentReport() {
     const filename = `bug-report-${new Date().toISOString().slice(0, 10)}.docx`;
     const currentUrl = await getCurrentUrl();
     
+    // Step numbers match the readable steps list
+    const numberedSteps = steps.filter(step =>
+      step.type !== 'console' &&
+      step.type !== 'performance' &&
+      step.type !== 'storage' &&
+      step.meta?.action !== 'focus' &&
+      step.meta?.action !== 'blur'
+    );
+    const storageChanges = getStorageChanges(steps, numberedSteps);
+    const formSnapshots = numberedSteps
+      .map((step, index) => ({ stepNumber: index + 1, form: step.meta?.form || '', fields: step.meta?.fields }))
+      .filter((snapshot, index) => numberedSteps[index].meta?.action === 'submit' && snapshot.fields && snapshot.fields.length > 0);
+    
     // Generate report with timeout
     const result = await Promise.race([
       wordGenerator.generateBugReport(rawText, screenshotData, {
         url: currentUrl,
         browser: navigator.userAgent,
         platform: navigator.platform,
-        timestamp: new Date().toISOString()
+        timestamp: new Date().toISOString(),
+        performance: getWebVitalsSummary(steps),
+        storageChanges: storageChanges,
+        formSnapshots: formSnapshots
       }, filename),
       timeoutPromise
     ]);
@@ -1745,7 +2181,8 @@ function generateStepsWithScreenshots(steps) {
   
   // Filter out console and performance events
   const uiSteps = steps.filter(step => 
-    step.type !== 'console' && step.type !== 'performance'
+    step.type !== 'console' && step.type !== 'performance' &&
+    step.type !== 'storage'
   );
   
   if (uiSteps.length === 0) {
@@ -1801,6 +2238,10 @@ function generateStepsWithScreenshots(steps) {
       html += `<div style="margin-bottom: 8px; color: #374151;"><strong style="color: #1f2937;">Element:</strong> <code style="background: #f1f5f9; padding: 2px 4px; border-radius: 3px; font-size: 12px; color: #475569;">${step.selector}</code></div>`;
     }
     
+    if (step.meta?.frame) {
+      html += `<div style="margin-bottom: 8px; color: #374151;"><strong style="color: #1f2937;">Frame:</strong> <code style="background: #f1f5f9; padding: 2px 4px; border-radius: 3px; font-size: 12px; color: #475569;">${describeFrame(step.meta.frame).replace(/^in frame /, '')}</code></div>`;
+    }
+    
     if (step.text) {
       html += `<div style="margin-bottom: 8px; color: #374151;"><strong style="color: #1f2937;">Details:</strong> ${step.text}</div>`;
     }
@@ -1880,34 +2321,11 @@ async function copyReportToClipboard() {
   const keyActions = allSteps.filter(step => 
     step.type !== 'console' && 
     step.type !== 'performance' && 
+    step.type !== 'storage' &&
     !['screenshot', 'focus', 'blur'].includes(step.meta?.action || step.type)
   );
   
-  const actionSummary = keyActions.map((step, index) => {
-    const action = step.meta?.action || step.type || 'action';
-    const target = step.text || step.selector || 'element';
-    
-    switch (action) {
-      case 'click':
-        return `Clicked on ${target}`;
-      case 'input':
-        return `Entered data in ${target}`;
-      case 'select':
-        return `Selected option from ${target}`;
-      case 'submit':
-        return `Submitted form`;
-      case 'navigation':
-        return `Navigated to ${target}`;
-      case 'keypress':
-        return `Pressed ${step.text || 'key'}`;
-      case 'change':
-        return `Changed ${target}`;
-      case 'toggle':
-        return `Toggled ${target}`;
-      default:
-        return `Performed ${action} on ${target}`;
-    }
-  }).join(' → ');
+  const actionSummary = keyActions.map(summarizeStepAction).join(' → ');
   
   let text = `${title}\n\n`;
   
@@ -2256,10 +2674,13 @@ function loadScreenshotGallery() {
       typeLabel = 'Full Page';
       typeClass = 'fullpage-screenshot';
     }
+    if (screenshot.annotatedDataURL) {
+      typeLabel += ' ✏️';
+    }
     
     return `
       <div class="screenshot-thumbnail ${typeClass}" data-index="${index}" onclick="viewScreenshot(${index})" title="Click to view full size - ${typeLabel} (${dimensions})">
-        <img src="${screenshot.dataURL}" alt="Screenshot ${index + 1} - ${typeLabel}" onerror="this.style.display='none'; this.nextElementSibling.style.display='block';">
+        <img src="${getScreenshotImage(screenshot)}" alt="Screenshot ${index + 1} - ${typeLabel}" onerror="this.style.display='none'; this.nextElementSibling.style.display='block';">
         <div class="screenshot-error" style="display: none; padding: 10px; text-align: center; color: #666; font-size: 12px;">
           Failed to load image
         </div>
@@ -2292,7 +2713,7 @@ function viewScreenshot(index) {
   }
   
   if (modalImage && screenshotModal) {
-    modalImage.src = screenshot.dataURL;
+    modalImage.src = getScreenshotImage(screenshot);
     modalImage.alt = `Screenshot ${index + 1} - ${screenshot.type || 'Standard'} capture`;
     screenshotModal.classList.add('active');
     
@@ -2360,7 +2781,7 @@ function downloadScreenshotByIndex(index) {
   
   const link = document.createElement('a');
   link.download = `screenshot-${screenshot.timestamp}.png`;
-  link.href = screenshot.dataURL;
+  link.href = getScreenshotImage(screenshot);
   link.click();
 }
 
@@ -2378,7 +2799,7 @@ async function copyCurrentScreenshot() {
     
     try {
       // Convert data URL to blob
-      const response = await fetch(screenshot.dataURL);
+      const response = await fetch(getScreenshotImage(screenshot));
       const blob = await response.blob();
       
       // Copy to clipboard
@@ -2396,6 +2817,49 @@ async function copyCurrentScreenshot() {
   }
 }
 
+/**
+ * Open the annotation editor for the screenshot in the modal. The original is kept;
+ * the annotated copy is stored (compressed) on the gallery record and matching steps.
+ */
+async function annotateCurrentScreenshot() {
+  if (!screenshotAnnotator || currentScreenshotIndex < 0 || currentScreenshotIndex >= screenshots.length) return;
+  
+  const index = currentScreenshotIndex;
+  const screenshot = screenshots[index];
+  
+  try {
+    const result = await screenshotAnnotator.open(screenshot);
+    if (!result) return;
+    
+    const response = await chrome.runtime.sendMessage({
+      cmd: 'save-screenshot-annotation',
+      timestamp: screenshot.timestamp,
+      annotatedDataURL: result.annotatedDataURL,
+      annotations: result.annotations
+    });
+    if (!response || !response.ok) {
+      throw new Error(response?.error || 'No response from background');
+    }
+    
+    if (response.annotatedDataURL) {
+      screenshot.annotatedDataURL = response.annotatedDataURL;
+      screenshot.annotations = result.annotations;
+    } else {
+      delete screenshot.annotatedDataURL;
+      delete screenshot.annotations;
+    }
+    
+    loadScreenshotGallery();
+    viewScreenshot(index);
+    status.textContent = result.annotatedDataURL ? 'Annotated screenshot saved' : 'Annotations removed';
+    status.style.color = '#22c55e';
+  } catch (error) {
+    console.error('Failed to annotate screenshot:', error);
+    status.textContent = 'Failed to annotate screenshot: ' + error.message;
+    status.style.color = '#dc3545';
+  }
+}
+
 function deleteCurrentScreenshot() {
   if (currentScreenshotIndex >= 0 && currentScreenshotIndex < screenshots.length) {
     deleteScreenshotByIndex(currentScreenshotIndex);
@@ -2403,18 +2867,23 @@ function deleteCurrentScreenshot() {
   }
 }
 
-function deleteScreenshotByIndex(index) {
+async function deleteScreenshotByIndex(index) {
   if (index < 0 || index >= screenshots.length) return;
   
   screenshots.splice(index, 1);
-  saveScreenshots();
   loadScreenshotGallery();
   
-  status.textContent = 'Screenshot deleted';
-  status.style.color = '#f59e0b';
+  try {
+    await saveScreenshots();
+    status.textContent = 'Screenshot deleted';
+    status.style.color = '#f59e0b';
+  } catch (error) {
+    status.textContent = 'Failed to delete screenshot: ' + error.message;
+    status.style.color = '#dc3545';
+  }
 }
 
-function clearAllScreenshots(skipConfirmation = false) {
+async function clearAllScreenshots(skipConfirmation = false) {
   if (screenshots.length === 0) return;
   
   if (!skipConfirmation && !confirm('Are you sure you want to delete all screenshots?')) {
@@ -2422,23 +2891,32 @@ function clearAllScreenshots(skipConfirmation = false) {
   }
   
   screenshots = [];
-  saveScreenshots();
   loadScreenshotGallery();
   
   // Reset report download tracker
   reportDownloadTracker.reset();
   
-  if (!skipConfirmation) {
-    status.textContent = 'All screenshots cleared';
-    status.style.color = '#f59e0b';
+  try {
+    await saveScreenshots();
+    if (!skipConfirmation) {
+      status.textContent = 'All screenshots cleared';
+      status.style.color = '#f59e0b';
+    }
+  } catch (error) {
+    status.textContent = 'Failed to clear screenshots: ' + error.message;
+    status.style.color = '#dc3545';
   }
 }
 
+/**
+ * Persist the gallery, annotated copies included. Errors are rethrown for the caller's status.
+ */
 async function saveScreenshots() {
   try {
     await chrome.storage.local.set({ screenshots: screenshots });
   } catch (error) {
     console.error('Failed to save screenshots:', error);
+    throw error;
   }
 }
 
@@ -2760,7 +3238,7 @@ async function activateExtension() {
       try {
         await chrome.scripting.executeScript({
           target: { tabId: tab.id },
-          files: ['content-script.js']
+          files: ['error-rules.js', 'report-helpers.js', 'content-script.js']
         });
         // Wait a moment for injection to complete
         await new Promise(resolve => setTimeout(resolve, 100));
@@ -2780,7 +3258,8 @@ async function activateExtension() {
       cmd: 'update-recording-state',
       isRecording: true,
       sessionId: sessionId,
-      startTime: startTime
+      startTime: startTime,
+      tabId: tab.id
     });
     
     // Load initial data
@@ -2925,6 +3404,18 @@ if (downloadReportsBtn) {
   });
 }
 
+if (replayBtn) {
+  replayBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('replay.html') });
+  });
+}
+
+if (errorRulesBtn) {
+  errorRulesBtn.addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+  });
+}
+
 // Test validator button event listener
 
 stopBtn.addEventListener('click', stopRecording);
@@ -2974,6 +3465,10 @@ if (downloadScreenshot) {
   downloadScreenshot.addEventListener('click', downloadCurrentScreenshot);
 }
 
+if (annotateScreenshot) {
+  annotateScreenshot.addEventListener('click', annotateCurrentScreenshot);
+}
+
 if (copyScreenshot) {
   copyScreenshot.addEventListener('click', copyCurrentScreenshot);
 }
@@ -3008,6 +3503,11 @@ searchBox.addEventListener('input', (e) => {
   renderSteps(allSteps, e.target.value);
 });
 
+settingInputs.forEach(input => {
+  input.addEventListener('change', saveCaptureSettings);
+});
+hashNavigationInput.addEventListener('change', saveCaptureSettings);
+
 // Global Enter key listener for full screenshot
 document.addEventListener('keydown', (e) => {
   // Only trigger if Enter is pressed and extension is active
@@ -3022,6 +3522,11 @@ document.addEventListener('keydown', (e) => {
       return;
     }
     
+    // Don't trigger while changing capture settings
+    if (e.target.closest && e.target.closest('.settings-section')) {
+      return;
+    }
+    
     // Close popup and trigger screenshot from content script
     e.preventDefault();
     
@@ -3037,6 +3542,75 @@ document.addEventListener('keydown', (e) => {
 });
 
 
+/**
+ * Origin of the recorded tab, for per-site settings (null for non-web pages)
+ */
+async function getCurrentOrigin() {
+  try {
+    const url = new URL(await getCurrentUrl());
+    return /^https?:$/.test(url.protocol) ? url.origin : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Load capture settings into the settings section inputs
+ */
+async function loadCaptureSettings() {
+  try {
+    const result = await chrome.storage.local.get([SETTINGS_KEY]);
+    const settings = { ...DEFAULT_SETTINGS, ...(result[SETTINGS_KEY] || {}) };
+    
+    settingInputs.forEach(input => {
+      const value = settings[input.dataset.setting];
+      if (input.type === 'checkbox') {
+        input.checked = !!value;
+      } else if (value !== undefined) {
+        input.value = value;
+      }
+    });
+    
+    // Per-site: hash routers on the recorded site
+    const origin = await getCurrentOrigin();
+    hashNavigationInput.disabled = !origin;
+    hashNavigationInput.checked = !!origin && settings.hashNavigationOrigins.includes(origin);
+    hashNavigationInput.closest('.setting-row').title = origin
+      ? `Record #hash changes on ${origin} as navigation (for sites with hash-based routing)`
+      : 'Open a web page to change this setting for its site';
+  } catch (error) {
+    console.warn('Failed to load capture settings:', error);
+  }
+}
+
+/**
+ * Persist capture settings; content scripts pick them up via storage.onChanged
+ */
+async function saveCaptureSettings() {
+  try {
+    const result = await chrome.storage.local.get([SETTINGS_KEY]);
+    const settings = { ...DEFAULT_SETTINGS, ...(result[SETTINGS_KEY] || {}) };
+    
+    settingInputs.forEach(input => {
+      settings[input.dataset.setting] = input.type === 'checkbox' ? input.checked : input.value;
+    });
+    
+    const origin = await getCurrentOrigin();
+    if (origin) {
+      const origins = settings.hashNavigationOrigins.filter(item => item !== origin);
+      settings.hashNavigationOrigins = hashNavigationInput.checked ? [...origins, origin] : origins;
+    }
+    
+    await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+    status.textContent = 'Capture settings saved';
+    status.className = 'status success';
+  } catch (error) {
+    console.error('Failed to save capture settings:', error);
+    status.textContent = 'Failed to save capture settings: ' + error.message;
+    status.className = 'status error';
+  }
+}
+
 /**
  * Show loading skeleton animation
  */
@@ -3125,8 +3699,31 @@ function cleanup() {
 window.addEventListener('beforeunload', cleanup);
 window.addEventListener('unload', cleanup);
 
+/**
+ * Keep a port open to the active tab while the popup is showing, so the page
+ * doesn't record the popup taking focus as the browser window losing it
+ */
+async function connectToActiveTab() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab) return;
+    const port = chrome.tabs.connect(tab.id, { name: 'bc-popup', frameId: 0 });
+    port.onDisconnect.addListener(() => {
+      // Read the error so pages without a content script don't log one
+      void chrome.runtime.lastError;
+    });
+  } catch (error) {
+    console.warn('Failed to connect to the active tab:', error);
+  }
+}
+
 // Initialize popup when DOM is loaded
 document.addEventListener('DOMContentLoaded', async () => {
+  connectToActiveTab();
+  
+  // Load capture settings
+  await loadCaptureSettings();
+  
   // Load screenshots on popup open
   await loadScreenshots();
   
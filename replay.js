@@ -0,0 +1,500 @@
+/**
+ * Bug Capturer Session Replay Player
+ * Rebuilds recorded DOM snapshots in a sandboxed iframe and plays back
+ * mutations, scrolls, mouse moves and inputs in sync with the step list.
+ * SECURITY: Recorded scripts are never serialised and the frame cannot run scripts
+ */
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+// The player never touches the network: remote URLs are dropped when a snapshot is
+// rebuilt and only inline (data:) resources load
+const URL_ATTRIBUTES = ['src', 'href', 'xlink:href', 'srcset', 'imagesrcset', 'poster', 'data', 'background', 'action', 'formaction', 'ping'];
+
+// DOM elements
+const viewport = document.getElementById('replay-viewport');
+const stage = document.getElementById('replay-stage');
+const frame = document.getElementById('replay-frame');
+const cursor = document.getElementById('replay-cursor');
+const emptyState = document.getElementById('replay-empty');
+const urlLabel = document.getElementById('replay-url');
+const stepList = document.getElementById('replay-step-list');
+const stepsHeading = document.getElementById('replay-steps-heading');
+const playBtn = document.getElementById('replay-play');
+const speedSelect = document.getElementById('replay-speed');
+const scrubber = document.getElementById('replay-scrubber');
+const markers = document.getElementById('replay-markers');
+const timeLabel = document.getElementById('replay-time');
+
+// Player state
+let replayEvents = [];
+let replaySteps = [];
+let sessionStart = 0;
+let sessionDuration = 0;
+let currentTime = 0; // Milliseconds from sessionStart
+let appliedIndex = -1; // Last event applied to the frame
+let isPlaying = false;
+let playbackSpeed = 1;
+let lastFrameTimestamp = 0;
+let animationFrameId = null;
+let currentStepIndex = -1;
+let viewportSize = { width: 1280, height: 720 };
+const mirror = new Map(); // Recorded node id -> rebuilt node
+
+/**
+ * Short description of a step for the replay step list
+ */
+function describeStep(step) {
+  const action = step.meta?.action || step.type || 'action';
+  const detail = step.meta?.details || step.text || step.selector || '';
+  const label = action.charAt(0).toUpperCase() + action.slice(1);
+  return detail ? `${label}: ${detail}` : label;
+}
+
+function formatClock(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const minutes = String(Math.floor(totalSeconds / 60)).padStart(2, '0');
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+}
+
+function isInlineUrl(url) {
+  return /^\s*(data:|#|$)/i.test(url);
+}
+
+/**
+ * CSS with @import rules removed and remote url() references emptied
+ */
+function sanitizeCss(cssText) {
+  return String(cssText || '')
+    .replace(/@import\s[^;]*;?/gi, '')
+    .replace(/url\(\s*(['"]?)(.*?)\1\s*\)/gi, (match, quote, url) => (isInlineUrl(url) ? match : 'url()'));
+}
+
+/**
+ * Attribute value safe to set in the replay document, or null to leave it out
+ */
+function sanitizeAttribute(tagName, name, value) {
+  const lowerName = name.toLowerCase();
+  if (lowerName.startsWith('on')) return null;
+  if (lowerName === 'style') return sanitizeCss(value);
+
+  // Nested frames would load live pages - keep them blank
+  if ((tagName === 'iframe' || tagName === 'frame') && (lowerName === 'srcdoc' || URL_ATTRIBUTES.includes(lowerName))) {
+    return lowerName === 'src' ? 'about:blank' : null;
+  }
+  if (!URL_ATTRIBUTES.includes(lowerName)) return value;
+  // srcset lists several URLs; the src fallback is enough for replay
+  if (lowerName.endsWith('srcset')) return null;
+  if (isInlineUrl(value)) return value;
+  // Links keep their styling but go nowhere
+  return (tagName === 'a' || tagName === 'area') && lowerName === 'href' ? '#' : null;
+}
+
+function isRefreshMeta(data) {
+  return data.tagName === 'meta' && /refresh/i.test((data.attributes || {})['http-equiv'] || '');
+}
+
+/**
+ * Rebuild a serialised node (and its subtree) inside the replay document
+ */
+function buildNode(doc, data, parentTagName) {
+  let node = null;
+
+  switch (data.type) {
+    case Node.TEXT_NODE:
+      node = doc.createTextNode(parentTagName === 'style' ? sanitizeCss(data.text) : (data.text || ''));
+      break;
+    case Node.COMMENT_NODE:
+      node = doc.createComment('');
+      break;
+    case Node.ELEMENT_NODE: {
+      if (isRefreshMeta(data)) return null;
+      // Linked stylesheets are replayed from the rules captured at record time
+      const tagName = data.tagName === 'link' && data.cssText ? 'style' : data.tagName;
+      node = data.isSVG ? doc.createElementNS(SVG_NAMESPACE, tagName) : doc.createElement(tagName);
+      if (tagName === data.tagName) {
+        Object.entries(data.attributes || {}).forEach(([name, value]) => {
+          const safeValue = sanitizeAttribute(tagName, name, value);
+          if (safeValue === null) return;
+          try {
+            node.setAttribute(name, safeValue);
+          } catch (e) {
+            // Invalid attribute names are skipped
+          }
+        });
+      } else if ((data.attributes || {}).media) {
+        node.setAttribute('media', data.attributes.media);
+      }
+      if (data.cssText) {
+        node.textContent = sanitizeCss(data.cssText);
+      }
+      (data.childNodes || []).forEach(child => {
+        const childNode = buildNode(doc, child, tagName);
+        if (childNode) node.appendChild(childNode);
+      });
+      if ('value' in (data.attributes || {}) && 'value' in node) {
+        node.value = data.attributes.value || '';
+      }
+      break;
+    }
+    default:
+      return null;
+  }
+
+  mirror.set(data.id, node);
+  return node;
+}
+
+/**
+ * Apply element scroll offsets recorded in a snapshot
+ */
+function applySnapshotScrolls(data) {
+  if (data.scroll) {
+    const node = mirror.get(data.id);
+    if (node) {
+      node.scrollLeft = data.scroll.x;
+      node.scrollTop = data.scroll.y;
+    }
+  }
+  (data.childNodes || []).forEach(applySnapshotScrolls);
+}
+
+function setViewportSize(width, height) {
+  viewportSize = { width: width || viewportSize.width, height: height || viewportSize.height };
+  stage.style.width = `${viewportSize.width}px`;
+  stage.style.height = `${viewportSize.height}px`;
+  fitStage();
+}
+
+/**
+ * Scale the recorded viewport to fit the player area
+ */
+function fitStage() {
+  const scale = Math.min(
+    viewport.clientWidth / viewportSize.width,
+    viewport.clientHeight / viewportSize.height,
+    1
+  );
+  stage.style.transform = `scale(${scale})`;
+  stage.style.left = `${Math.max(0, (viewport.clientWidth - viewportSize.width * scale) / 2)}px`;
+}
+
+/**
+ * Replace the frame contents with a full page snapshot
+ */
+function applySnapshot(data) {
+  const doc = frame.contentDocument;
+  doc.open();
+  doc.write('<!DOCTYPE html><html></html>');
+  doc.close();
+  mirror.clear();
+  mirror.set(data.node.id, doc);
+
+  const rootData = (data.node.childNodes || []).find(child => child.type === Node.ELEMENT_NODE);
+  if (rootData) {
+    const root = buildNode(doc, rootData);
+    doc.replaceChild(root, doc.documentElement);
+  }
+
+  urlLabel.textContent = data.url;
+  setViewportSize(data.width, data.height);
+  applySnapshotScrolls(rootData || {});
+  frame.contentWindow.scrollTo(data.scroll?.x || 0, data.scroll?.y || 0);
+}
+
+function applyMutation(change) {
+  const doc = frame.contentDocument;
+
+  switch (change.kind) {
+    case 'remove': {
+      const node = mirror.get(change.id);
+      if (node && node.parentNode) node.parentNode.removeChild(node);
+      break;
+    }
+    case 'add': {
+      const parent = mirror.get(change.parentId);
+      if (!parent) return;
+      // Nodes that moved are re-added with the same id
+      const existing = mirror.get(change.node.id);
+      if (existing && existing.parentNode) existing.parentNode.removeChild(existing);
+
+      const node = buildNode(doc, change.node, parent.nodeName.toLowerCase());
+      if (!node) return;
+      const next = change.nextId ? mirror.get(change.nextId) : null;
+      try {
+        if (next && next.parentNode === parent) {
+          parent.insertBefore(node, next);
+        } else {
+          parent.appendChild(node);
+        }
+      } catch (e) {
+        // Structure no longer matches (e.g. a second root element) - skip
+      }
+      break;
+    }
+    case 'attribute': {
+      const node = mirror.get(change.id);
+      if (!node || node.nodeType !== Node.ELEMENT_NODE) return;
+      const value = change.value === null ? null : sanitizeAttribute(node.nodeName.toLowerCase(), change.name, change.value);
+      try {
+        if (value === null) {
+          node.removeAttribute(change.name);
+        } else {
+          node.setAttribute(change.name, value);
+        }
+        if (change.name === 'value' && 'value' in node) node.value = change.value || '';
+      } catch (e) {
+        // Invalid attribute names are skipped
+      }
+      break;
+    }
+    case 'text': {
+      const node = mirror.get(change.id);
+      if (!node) return;
+      const parent = node.parentNode;
+      node.textContent = parent && parent.nodeName.toLowerCase() === 'style' ? sanitizeCss(change.text) : change.text;
+      break;
+    }
+  }
+}
+
+function applyEvent(event) {
+  const data = event.data || {};
+
+  switch (event.type) {
+    case 'snapshot':
+      applySnapshot(data);
+      break;
+    case 'mutation':
+      (data.changes || []).forEach(applyMutation);
+      break;
+    case 'scroll':
+      if (data.id === null) {
+        frame.contentWindow.scrollTo(data.x, data.y);
+      } else {
+        const node = mirror.get(data.id);
+        if (node) {
+          node.scrollLeft = data.x;
+          node.scrollTop = data.y;
+        }
+      }
+      break;
+    case 'mouse':
+      cursor.style.display = 'block';
+      cursor.style.left = `${data.x}px`;
+      cursor.style.top = `${data.y}px`;
+      if (data.click) {
+        cursor.classList.add('clicked');
+        setTimeout(() => cursor.classList.remove('clicked'), 200);
+      }
+      break;
+    case 'input': {
+      const node = mirror.get(data.id);
+      if (node) {
+        if ('value' in node) node.value = data.value || '';
+        if ('checked' in node) node.checked = data.checked;
+      }
+      break;
+    }
+    case 'viewport':
+      setViewportSize(data.width, data.height);
+      break;
+  }
+}
+
+/**
+ * Move the player to a point in time, rebuilding from the closest snapshot when going back
+ */
+function seek(time) {
+  currentTime = Math.max(0, Math.min(time, sessionDuration));
+  const absoluteTime = sessionStart + currentTime;
+
+  const needsRebuild = appliedIndex < 0 || replayEvents[appliedIndex].time > absoluteTime;
+  if (needsRebuild) {
+    let snapshotIndex = 0;
+    replayEvents.forEach((event, index) => {
+      if (event.type === 'snapshot' && event.time <= absoluteTime) snapshotIndex = index;
+    });
+    cursor.style.display = 'none';
+    applyEvent(replayEvents[snapshotIndex]);
+    appliedIndex = snapshotIndex;
+  }
+
+  while (appliedIndex + 1 < replayEvents.length && replayEvents[appliedIndex + 1].time <= absoluteTime) {
+    appliedIndex++;
+    try {
+      applyEvent(replayEvents[appliedIndex]);
+    } catch (error) {
+      console.warn('Failed to apply replay event:', error);
+    }
+  }
+
+  updateTimeline();
+}
+
+/**
+ * Sync the scrubber, clock and highlighted step with the current time
+ */
+function updateTimeline() {
+  scrubber.value = currentTime;
+  timeLabel.textContent = `${formatClock(currentTime)} / ${formatClock(sessionDuration)}`;
+
+  const absoluteTime = sessionStart + currentTime;
+  let stepIndex = -1;
+  replaySteps.forEach((step, index) => {
+    if (step.time <= absoluteTime) stepIndex = index;
+  });
+
+  if (stepIndex !== currentStepIndex) {
+    const items = stepList.children;
+    if (items[currentStepIndex]) items[currentStepIndex].classList.remove('current');
+    if (items[stepIndex]) {
+      items[stepIndex].classList.add('current');
+      items[stepIndex].scrollIntoView({ block: 'nearest' });
+    }
+    currentStepIndex = stepIndex;
+  }
+}
+
+function tick(timestamp) {
+  if (!isPlaying) return;
+
+  const elapsed = lastFrameTimestamp ? timestamp - lastFrameTimestamp : 0;
+  lastFrameTimestamp = timestamp;
+  seek(currentTime + elapsed * playbackSpeed);
+
+  if (currentTime >= sessionDuration) {
+    pause();
+    return;
+  }
+  animationFrameId = requestAnimationFrame(tick);
+}
+
+function play() {
+  if (currentTime >= sessionDuration) seek(0);
+  isPlaying = true;
+  lastFrameTimestamp = 0;
+  playBtn.textContent = '⏸️ Pause';
+  playBtn.setAttribute('aria-label', 'Pause');
+  animationFrameId = requestAnimationFrame(tick);
+}
+
+function pause() {
+  isPlaying = false;
+  cancelAnimationFrame(animationFrameId);
+  playBtn.textContent = '▶️ Play';
+  playBtn.setAttribute('aria-label', 'Play');
+}
+
+function renderStepList() {
+  stepList.innerHTML = '';
+  markers.innerHTML = '';
+
+  replaySteps.forEach(step => {
+    const offset = Math.max(0, step.time - sessionStart);
+
+    const item = document.createElement('li');
+    item.className = 'replay-step';
+    item.tabIndex = 0;
+    const time = document.createElement('span');
+    time.className = 'replay-step-time';
+    time.textContent = formatClock(offset);
+    const text = document.createElement('span');
+    text.textContent = describeStep(step);
+    item.append(time, text);
+    if (step.meta?.selectors?.length) {
+      item.title = step.meta.selectors.map(candidate => `${candidate.strategy}: ${candidate.selector}`).join('\n');
+    }
+    item.addEventListener('click', () => seek(offset));
+    item.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') seek(offset);
+    });
+    stepList.appendChild(item);
+
+    if (sessionDuration > 0) {
+      const marker = document.createElement('div');
+      marker.className = 'replay-marker';
+      marker.style.left = `${(offset / sessionDuration) * 100}%`;
+      markers.appendChild(marker);
+    }
+  });
+}
+
+/**
+ * Load recorded events and steps from the background script
+ */
+async function loadReplay() {
+  try {
+    const [replayResponse, stepsResponse] = await Promise.all([
+      chrome.runtime.sendMessage({ cmd: 'get-replay' }),
+      chrome.runtime.sendMessage({ cmd: 'get-steps' })
+    ]);
+
+    const replay = replayResponse?.replay;
+    replayEvents = (replay?.events || []).slice().sort((a, b) => a.time - b.time);
+    const firstSnapshot = replayEvents.findIndex(event => event.type === 'snapshot');
+
+    if (firstSnapshot === -1) {
+      emptyState.textContent = 'No session replay recorded. Enable "Record session replay" in Capture Settings, then record the session again.';
+      return;
+    }
+    replayEvents = replayEvents.slice(firstSnapshot);
+
+    // Same filtering as the popup step list
+    replaySteps = (stepsResponse?.steps || []).filter(step =>
+      step.sessionId === replay.sessionId &&
+      step.type !== 'console' &&
+      step.type !== 'performance' &&
+      step.type !== 'storage' &&
+      step.meta?.action !== 'focus' &&
+      step.meta?.action !== 'blur'
+    ).sort((a, b) => a.time - b.time);
+
+    sessionStart = replayEvents[0].time;
+    const lastStepTime = replaySteps.length ? replaySteps[replaySteps.length - 1].time : 0;
+    sessionDuration = Math.max(replayEvents[replayEvents.length - 1].time, lastStepTime) - sessionStart;
+
+    emptyState.style.display = 'none';
+    if (replay.truncated) {
+      stepsHeading.textContent += ' (replay trimmed to fit storage)';
+    }
+
+    scrubber.max = sessionDuration;
+    scrubber.disabled = false;
+    playBtn.disabled = false;
+    renderStepList();
+    seek(0);
+  } catch (error) {
+    console.error('Failed to load session replay:', error);
+    emptyState.textContent = 'Failed to load session replay: ' + error.message;
+  }
+}
+
+// Event listeners
+playBtn.addEventListener('click', () => {
+  if (isPlaying) {
+    pause();
+  } else {
+    play();
+  }
+});
+
+speedSelect.addEventListener('change', () => {
+  playbackSpeed = Number(speedSelect.value) || 1;
+});
+
+scrubber.addEventListener('input', () => {
+  seek(Number(scrubber.value));
+});
+
+window.addEventListener('resize', fitStage);
+
+document.addEventListener('keydown', (e) => {
+  if (e.key === ' ' && e.target === document.body && !playBtn.disabled) {
+    e.preventDefault();
+    playBtn.click();
+  }
+});
+
+loadReplay();
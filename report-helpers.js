@@ -0,0 +1,121 @@
+/**
+ * Report Helpers
+ * Step formatting shared by the popup (controller.html) and the background
+ * service worker (importScripts), so both report paths describe steps the same way.
+ * Also listed before content-script.js, which redacts with the same keyword list.
+ */
+
+// Field, parameter and header names whose values are redacted everywhere
+const SENSITIVE_PATTERNS = /password|pwd|secret|token|key|ssn|creditcard|credit-card|cardnumber|card-number/i;
+
+/**
+ * Name the iframe a step happened in, e.g. "in frame pay.example.com/checkout (iframe#payment)"
+ */
+function describeFrame(frame) {
+  let where = frame.url || 'unknown URL';
+  try {
+    const parsed = new URL(where);
+    where = parsed.host + parsed.pathname;
+  } catch (e) {
+    // Keep the raw URL
+  }
+  const path = (frame.path || []).join(' → ');
+  return path ? `in frame ${where} (${path})` : `in frame ${where}`;
+}
+
+const WEB_VITAL_ORDER = ['LCP', 'INP', 'CLS', 'FCP', 'TTFB'];
+const WEB_VITAL_RATINGS = { good: 'Good', 'needs-improvement': 'Needs improvement', poor: 'Poor' };
+
+/**
+ * Latest Web Vitals snapshot for each page load or SPA route, in the order first seen
+ */
+function getWebVitalsSummary(steps) {
+  const routes = new Map();
+  steps.forEach(step => {
+    const data = step.meta?.performanceType === 'web-vitals' ? step.meta.data : null;
+    if (data && data.metrics) {
+      routes.set(`${data.navigationType}|${data.route}`, data);
+    }
+  });
+  
+  return Array.from(routes.values()).map(data => ({
+    route: data.route,
+    navigationType: data.navigationType,
+    metrics: WEB_VITAL_ORDER.filter(name => data.metrics[name]).map(name => ({
+      name: name,
+      display: data.metrics[name].display,
+      rating: data.metrics[name].rating,
+      label: WEB_VITAL_RATINGS[data.metrics[name].rating] || data.metrics[name].rating
+    }))
+  }));
+}
+
+const STORAGE_AREAS = { localStorage: 'localStorage', sessionStorage: 'sessionStorage', cookies: 'Cookie' };
+
+/**
+ * Keys that differ between consecutive storage snapshots of the same origin.
+ * Step numbers count the report steps recorded up to each snapshot.
+ */
+function getStorageChanges(steps, uiSteps) {
+  const snapshots = steps.filter(step => step.meta?.action === 'storage-snapshot');
+  const stepNumberAt = snapshot => uiSteps.filter(step => step.time <= snapshot.time).length;
+  const previousByOrigin = {};
+  const changes = [];
+  
+  snapshots.forEach(snapshot => {
+    const previous = previousByOrigin[snapshot.meta.origin];
+    previousByOrigin[snapshot.meta.origin] = snapshot;
+    if (!previous) return;
+    
+    Object.keys(STORAGE_AREAS).forEach(area => {
+      const before = previous.meta[area];
+      const after = snapshot.meta[area];
+      // Storage blocked in one of the snapshots
+      if (!before || !after) return;
+      
+      new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+        if (before[key] === after[key]) return;
+        changes.push({
+          area: STORAGE_AREAS[area],
+          key: key,
+          before: key in before ? before[key] : null,
+          after: key in after ? after[key] : null,
+          fromStep: stepNumberAt(previous),
+          toStep: stepNumberAt(snapshot)
+        });
+      });
+    });
+  });
+  
+  return { snapshots: snapshots.length, changes: changes };
+}
+
+/**
+ * "clicked", "double-clicked", "right-clicked" or "Ctrl+Shift-clicked"
+ */
+function describeClickGesture(action, modifiers) {
+  const verb = action === 'dblclick' ? 'double-clicked' : action === 'contextmenu' ? 'right-clicked' : 'clicked';
+  return modifiers && modifiers.length > 0 ? `${modifiers.join('+')}-${verb}` : verb;
+}
+
+/**
+ * "Pasted 42 characters into the 'Notes' field", "Copied 2 files"
+ */
+function formatClipboardStep(step) {
+  const action = step.meta?.action;
+  const clipboard = step.meta?.clipboard || {};
+  const verb = { copy: 'Copied', cut: 'Cut', paste: 'Pasted' }[action] || 'Used the clipboard';
+  const count = clipboard.length || 0;
+  const amount = clipboard.contentType === 'files'
+    ? `${count} file${count === 1 ? '' : 's'}`
+    : `${count} character${count === 1 ? '' : 's'}${clipboard.contentType === 'html' ? ' of formatted text' : ''}`;
+  const place = clipboard.field ? ` ${action === 'paste' ? 'into' : 'from'} the '${clipboard.field}' field` : '';
+  return `${verb} ${amount}${place}`;
+}
+
+/**
+ * Image to show and export for a screenshot: the annotated copy when there is one
+ */
+function getScreenshotImage(screenshot) {
+  return screenshot.annotatedDataURL || screenshot.dataURL;
+}
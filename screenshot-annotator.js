@@ -0,0 +1,356 @@
+/**
+ * Screenshot Annotation Editor
+ * Draws arrows, rectangles, freehand highlights, numbered callouts and text labels
+ * on a copy of a screenshot. The original image is never modified; the editor returns
+ * the annotated image plus the shape list so the annotations can be edited again later.
+ */
+
+class ScreenshotAnnotator {
+  /**
+   * @param {HTMLElement} root - Editor overlay (see #annotation-editor in controller.html)
+   */
+  constructor(root) {
+    this.root = root;
+    this.canvas = root.querySelector('.annotation-canvas');
+    this.ctx = this.canvas.getContext('2d');
+    this.image = null;
+    this.shapes = [];
+    this.draft = null;
+    this.tool = 'arrow';
+    this.color = '#ef4444';
+    this.textInput = null; // { element, point, color } while a label is being typed
+    this.resolve = null;
+
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handleKeydown = this.handleKeydown.bind(this);
+
+    this.canvas.addEventListener('pointerdown', this.handlePointerDown);
+    this.canvas.addEventListener('pointermove', this.handlePointerMove);
+    this.canvas.addEventListener('pointerup', this.handlePointerUp);
+    this.canvas.addEventListener('pointercancel', () => { this.draft = null; this.render(); });
+
+    root.querySelectorAll('[data-tool]').forEach(button => {
+      button.addEventListener('click', () => this.setTool(button.dataset.tool));
+    });
+    root.querySelectorAll('[data-color]').forEach(button => {
+      button.addEventListener('click', () => this.setColor(button.dataset.color));
+    });
+    root.querySelector('[data-action="undo"]').addEventListener('click', () => this.undo());
+    root.querySelector('[data-action="clear"]').addEventListener('click', () => this.clear());
+    root.querySelector('[data-action="cancel"]').addEventListener('click', () => this.close(null));
+    root.querySelector('[data-action="save"]').addEventListener('click', () => this.save());
+  }
+
+  /**
+   * Open the editor for a screenshot
+   * @param {Object} screenshot - Gallery screenshot ({ dataURL, annotations? })
+   * @returns {Promise<Object|null>} { annotatedDataURL, annotations } on save, null on cancel.
+   *   annotatedDataURL is null when every annotation was removed.
+   */
+  async open(screenshot) {
+    this.image = await this.loadImage(screenshot.dataURL);
+    this.canvas.width = this.image.naturalWidth;
+    this.canvas.height = this.image.naturalHeight;
+    // Line widths and font sizes follow the image size so annotations stay legible
+    this.unit = Math.max(2, Math.round(Math.max(this.canvas.width, this.canvas.height) / 400));
+    this.shapes = JSON.parse(JSON.stringify(screenshot.annotations || []));
+    this.draft = null;
+
+    this.setTool(this.tool);
+    this.setColor(this.color);
+    this.render();
+
+    this.root.classList.add('active');
+    this.root.focus();
+    document.addEventListener('keydown', this.handleKeydown, true);
+
+    return new Promise(resolve => {
+      this.resolve = resolve;
+    });
+  }
+
+  loadImage(dataURL) {
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error('Screenshot image could not be loaded'));
+      image.src = dataURL;
+    });
+  }
+
+  close(result) {
+    this.commitTextInput(true);
+    this.root.classList.remove('active');
+    document.removeEventListener('keydown', this.handleKeydown, true);
+    this.image = null;
+    if (this.resolve) {
+      this.resolve(result);
+      this.resolve = null;
+    }
+  }
+
+  save() {
+    this.commitTextInput();
+    this.draft = null;
+    this.render();
+    // Keep the original's format (stored screenshots are usually compressed JPEGs)
+    const isJpeg = /^data:image\/jpe?g/.test(this.image.src);
+    this.close({
+      annotatedDataURL: this.shapes.length > 0
+        ? this.canvas.toDataURL(isJpeg ? 'image/jpeg' : 'image/png', 0.9)
+        : null,
+      annotations: this.shapes
+    });
+  }
+
+  setTool(tool) {
+    this.tool = tool;
+    this.root.querySelectorAll('[data-tool]').forEach(button => {
+      button.classList.toggle('active', button.dataset.tool === tool);
+      button.setAttribute('aria-pressed', String(button.dataset.tool === tool));
+    });
+  }
+
+  setColor(color) {
+    this.color = color;
+    this.root.querySelectorAll('[data-color]').forEach(button => {
+      button.classList.toggle('active', button.dataset.color === color);
+      button.setAttribute('aria-pressed', String(button.dataset.color === color));
+    });
+  }
+
+  undo() {
+    this.shapes.pop();
+    this.render();
+  }
+
+  clear() {
+    this.shapes = [];
+    this.render();
+  }
+
+  /**
+   * Editor shortcuts; also keeps the popup's own Enter/Escape/arrow handlers from firing
+   */
+  handleKeydown(e) {
+    if (!this.root.classList.contains('active')) return;
+    e.stopPropagation();
+
+    // Typing a label: Enter adds it, Escape drops it, everything else is text
+    if (this.textInput && e.target === this.textInput.element) {
+      if (e.key === 'Enter' || e.key === 'Escape') {
+        e.preventDefault();
+        this.commitTextInput(e.key === 'Escape');
+      }
+      return;
+    }
+
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      this.close(null);
+    } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+      e.preventDefault();
+      this.undo();
+    }
+  }
+
+  // Pointer position in image pixels (the canvas is scaled down to fit the screen)
+  getPoint(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: Math.round((e.clientX - rect.left) * (this.canvas.width / rect.width)),
+      y: Math.round((e.clientY - rect.top) * (this.canvas.height / rect.height))
+    };
+  }
+
+  handlePointerDown(e) {
+    if (e.button !== 0) return;
+    const point = this.getPoint(e);
+
+    switch (this.tool) {
+      case 'callout':
+        this.shapes.push({
+          type: 'callout',
+          color: this.color,
+          x: point.x,
+          y: point.y,
+          number: this.shapes.filter(shape => shape.type === 'callout').length + 1
+        });
+        this.render();
+        return;
+      case 'text':
+        this.openTextInput(e, point);
+        return;
+      case 'freehand':
+        this.draft = { type: 'freehand', color: this.color, points: [[point.x, point.y]] };
+        break;
+      default:
+        // arrow and rect are dragged out from the start point
+        this.draft = { type: this.tool, color: this.color, x1: point.x, y1: point.y, x2: point.x, y2: point.y };
+    }
+    this.canvas.setPointerCapture(e.pointerId);
+  }
+
+  /**
+   * Inline text box at the click point; the label is added on Enter or when the box
+   * loses focus, and dropped on Escape or when left empty
+   */
+  openTextInput(e, point) {
+    this.commitTextInput();
+
+    const stage = this.canvas.parentElement;
+    const stageRect = stage.getBoundingClientRect();
+    const scale = this.canvas.getBoundingClientRect().width / this.canvas.width;
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'annotation-text-input';
+    input.placeholder = 'Label text';
+    input.setAttribute('aria-label', 'Label text');
+    input.style.left = `${e.clientX - stageRect.left}px`;
+    input.style.top = `${e.clientY - stageRect.top}px`;
+    input.style.color = this.color;
+    // Roughly the size the label will be drawn at
+    input.style.fontSize = `${Math.max(12, Math.round(this.unit * 8 * scale))}px`;
+    input.addEventListener('blur', () => this.commitTextInput());
+
+    this.textInput = { element: input, point: point, color: this.color };
+    stage.appendChild(input);
+    // After the pointerdown's own focus change, or the editor would take focus back
+    setTimeout(() => input.focus(), 0);
+  }
+
+  commitTextInput(cancel = false) {
+    const textInput = this.textInput;
+    if (!textInput) return;
+    // Cleared first: removing the element fires blur, which calls back in here
+    this.textInput = null;
+    const text = textInput.element.value.trim();
+    textInput.element.remove();
+
+    if (!cancel && text) {
+      this.shapes.push({ type: 'text', color: textInput.color, x: textInput.point.x, y: textInput.point.y, text: text });
+      this.render();
+    }
+  }
+
+  handlePointerMove(e) {
+    if (!this.draft) return;
+    const point = this.getPoint(e);
+    if (this.draft.type === 'freehand') {
+      this.draft.points.push([point.x, point.y]);
+    } else {
+      this.draft.x2 = point.x;
+      this.draft.y2 = point.y;
+    }
+    this.render();
+  }
+
+  handlePointerUp() {
+    const draft = this.draft;
+    this.draft = null;
+    if (!draft) return;
+
+    // Ignore stray clicks that didn't draw anything
+    const minSize = this.unit * 3;
+    const isTooSmall = draft.type === 'freehand'
+      ? draft.points.length < 2
+      : Math.hypot(draft.x2 - draft.x1, draft.y2 - draft.y1) < minSize;
+    if (!isTooSmall) {
+      this.shapes.push(draft);
+    }
+    this.render();
+  }
+
+  render() {
+    const ctx = this.ctx;
+    ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    if (this.image) {
+      ctx.drawImage(this.image, 0, 0);
+    }
+    [...this.shapes, this.draft].filter(Boolean).forEach(shape => this.drawShape(shape));
+  }
+
+  drawShape(shape) {
+    const ctx = this.ctx;
+    const unit = this.unit;
+    ctx.save();
+    ctx.strokeStyle = shape.color;
+    ctx.fillStyle = shape.color;
+    ctx.lineWidth = unit;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    switch (shape.type) {
+      case 'arrow': {
+        const angle = Math.atan2(shape.y2 - shape.y1, shape.x2 - shape.x1);
+        const head = unit * 6;
+        ctx.beginPath();
+        ctx.moveTo(shape.x1, shape.y1);
+        ctx.lineTo(shape.x2, shape.y2);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.moveTo(shape.x2, shape.y2);
+        ctx.lineTo(shape.x2 - head * Math.cos(angle - Math.PI / 7), shape.y2 - head * Math.sin(angle - Math.PI / 7));
+        ctx.lineTo(shape.x2 - head * Math.cos(angle + Math.PI / 7), shape.y2 - head * Math.sin(angle + Math.PI / 7));
+        ctx.closePath();
+        ctx.fill();
+        break;
+      }
+      case 'rect':
+        ctx.strokeRect(
+          Math.min(shape.x1, shape.x2),
+          Math.min(shape.y1, shape.y2),
+          Math.abs(shape.x2 - shape.x1),
+          Math.abs(shape.y2 - shape.y1)
+        );
+        break;
+      case 'freehand':
+        // Highlighter: wide, translucent strokes
+        ctx.globalAlpha = 0.4;
+        ctx.lineWidth = unit * 6;
+        ctx.beginPath();
+        shape.points.forEach(([x, y], index) => {
+          if (index === 0) {
+            ctx.moveTo(x, y);
+          } else {
+            ctx.lineTo(x, y);
+          }
+        });
+        ctx.stroke();
+        break;
+      case 'callout': {
+        const radius = unit * 6;
+        ctx.beginPath();
+        ctx.arc(shape.x, shape.y, radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.lineWidth = Math.max(1, unit / 2);
+        ctx.strokeStyle = '#ffffff';
+        ctx.stroke();
+        ctx.fillStyle = '#ffffff';
+        ctx.font = `bold ${radius}px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(String(shape.number), shape.x, shape.y);
+        break;
+      }
+      case 'text': {
+        const fontSize = unit * 8;
+        ctx.font = `bold ${fontSize}px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif`;
+        ctx.textBaseline = 'top';
+        // Dark backing box so the label reads on any background
+        const width = ctx.measureText(shape.text).width;
+        const padding = unit * 2;
+        ctx.globalAlpha = 0.75;
+        ctx.fillStyle = '#000000';
+        ctx.fillRect(shape.x - padding, shape.y - padding, width + padding * 2, fontSize + padding * 2);
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = shape.color;
+        ctx.fillText(shape.text, shape.x, shape.y);
+        break;
+      }
+    }
+    ctx.restore();
+  }
+}
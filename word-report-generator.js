@@ -57,7 +57,10 @@ class WordReportGenerator {
       attachments: [],
       reportedBy: `Bug Context Capturer - ${new Date().toLocaleString()}`,
       url: '',
-      screenshots: this.deduplicateScreenshots(screenshots || [])
+      screenshots: this.deduplicateScreenshots(screenshots || []),
+      performance: metadata.performance || [],
+      storageChanges: metadata.storageChanges || { snapshots: 0, changes: [] },
+      submittedForms: []
     };
 
     let currentSection = '';
@@ -109,10 +112,53 @@ class WordReportGenerator {
 
     // Map screenshots to steps
     this.mapScreenshotsToSteps(data, screenshots);
+    this.mapFormSnapshotsToSteps(data, metadata.formSnapshots || []);
 
     return data;
   }
 
+  /**
+   * Attach submitted-form field tables to their submit steps
+   * @param {Object} data - Bug report data
+   * @param {Array} formSnapshots - { stepNumber, form, fields } for each form submit
+   */
+  mapFormSnapshotsToSteps(data, formSnapshots) {
+    formSnapshots.forEach(snapshot => {
+      // Step text keeps the readable step number ("4. Submitted the form")
+      const step = data.stepsToReproduce.find(candidate => candidate.text.startsWith(`${snapshot.stepNumber}. `));
+      if (step) {
+        step.formFields = snapshot.fields;
+      } else {
+        data.submittedForms.push(snapshot);
+      }
+    });
+  }
+
+  /**
+   * Name / Label / Type / Value table of a submitted form
+   * @param {Array} fields - Redacted form fields
+   * @returns {Table} Word table
+   */
+  createFormFieldsTable(fields) {
+    const { Paragraph, TextRun, Table, TableRow, TableCell, WidthType } = this.docx;
+    const cell = (text, bold) => new TableCell({
+      children: [new Paragraph({ children: [new TextRun({ text: text || '', bold: bold, size: 18 })] })]
+    });
+
+    return new Table({
+      width: { size: 100, type: WidthType.PERCENTAGE },
+      rows: [
+        new TableRow({
+          tableHeader: true,
+          children: ['Field', 'Label', 'Type', 'Value'].map(header => cell(header, true))
+        }),
+        ...fields.map(field => new TableRow({
+          children: [field.name, field.label, field.type, field.value].map(text => cell(text, false))
+        }))
+      ]
+    });
+  }
+
   /**
    * Map screenshots to the closest preceding step
    * @param {Object} data - Bug report data
@@ -318,6 +364,14 @@ class WordReportGenerator {
         })
       );
 
+      // Submitted form data for submit steps
+      if (step.formFields && step.formFields.length > 0) {
+        children.push(
+          this.createFormFieldsTable(step.formFields),
+          new Paragraph({ text: '', spacing: { after: 120 } })
+        );
+      }
+
       // Embed screenshots for this step
       for (const screenshot of step.screenshots) {
         try {
@@ -399,6 +453,97 @@ class WordReportGenerator {
       })
     );
 
+    // Performance Summary (Web Vitals per page load / SPA route)
+    if (bugData.performance && bugData.performance.length > 0) {
+      const ratingColors = { good: '059669', 'needs-improvement': 'D97706', poor: 'DC2626' };
+      
+      children.push(
+        new Paragraph({
+          children: [
+            new TextRun({ text: "Performance Summary", bold: true, size: 24 })
+          ],
+          spacing: { before: 240, after: 120 }
+        })
+      );
+
+      bugData.performance.forEach(route => {
+        children.push(
+          new Paragraph({
+            children: [
+              new TextRun({ text: `${route.navigationType === 'route-change' ? 'After route change to' : 'Page load of'} ${route.route}`, bold: true })
+            ],
+            spacing: { before: 120, after: 60 }
+          })
+        );
+
+        route.metrics.forEach(metric => {
+          children.push(
+            new Paragraph({
+              children: [
+                new TextRun({ text: `• ${metric.name}: ${metric.display} - ` }),
+                new TextRun({ text: metric.label, bold: true, color: ratingColors[metric.rating] || '000000' })
+              ],
+              spacing: { after: 60 }
+            })
+          );
+        });
+      });
+    }
+
+    // Submitted forms whose step is not in the list (e.g. trimmed long sessions)
+    bugData.submittedForms.forEach(snapshot => {
+      children.push(
+        new Paragraph({
+          children: [
+            new TextRun({ text: `Form submitted at step ${snapshot.stepNumber}${snapshot.form ? ` (${snapshot.form})` : ''}`, bold: true })
+          ],
+          spacing: { before: 240, after: 120 }
+        }),
+        this.createFormFieldsTable(snapshot.fields)
+      );
+    });
+
+    // Storage Changes between snapshots
+    if (bugData.storageChanges.snapshots > 1) {
+      children.push(
+        new Paragraph({
+          children: [
+            new TextRun({ text: "Storage Changes", bold: true, size: 24 })
+          ],
+          spacing: { before: 240, after: 120 }
+        })
+      );
+
+      if (bugData.storageChanges.changes.length === 0) {
+        children.push(
+          new Paragraph({
+            text: `No changes between the ${bugData.storageChanges.snapshots} storage snapshots.`,
+            spacing: { after: 60 }
+          })
+        );
+      }
+
+      bugData.storageChanges.changes.forEach(change => {
+        const from = change.fromStep > 0 ? `step ${change.fromStep}` : 'recording start';
+        let description = `changed between ${from} and step ${change.toStep}: "${change.before}" → "${change.after}"`;
+        if (change.before === null) {
+          description = `added between ${from} and step ${change.toStep}: "${change.after}"`;
+        } else if (change.after === null) {
+          description = `removed between ${from} and step ${change.toStep} (was "${change.before}")`;
+        }
+        children.push(
+          new Paragraph({
+            children: [
+              new TextRun({ text: `• ` }),
+              new TextRun({ text: change.key, bold: true }),
+              new TextRun({ text: ` (${change.area}) ${description}` })
+            ],
+            spacing: { after: 60 }
+          })
+        );
+      });
+    }
+
     // Frequency/Reproducibility
     children.push(
       new Paragraph({